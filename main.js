@@ -2,6 +2,7 @@
 
 const utils = require('@iobroker/adapter-core');
 const axios = require('axios');
+const crypto = require('crypto');
 const IO_PKG = require('./io-package.json');
 const VERSION = (IO_PKG && IO_PKG.common && IO_PKG.common.version) ? IO_PKG.common.version : '0.0.0';
 const TOMTOM_LOGO_PATH = '/adapter/cpt/tomtom.png';
@@ -25,6 +26,38 @@ function isTrue(v) {
     return v === true || v === 'true' || v === 1 || v === '1' || v === 'on' || v === 'yes';
 }
 
+function travelTimeToMin(sec) {
+    // routing travel time in whole minutes, null for air-line distances (no travel time)
+    const n = Number(sec);
+    return sec !== null && sec !== undefined && Number.isFinite(n) && n >= 0 ? Math.round(n / 60) : null;
+}
+
+function formatEtaSuffix(etaMin) {
+    // appended to distance labels in the VIS, e.g. "1.23 km · ~3 min"
+    return etaMin !== null && etaMin !== undefined && etaMin !== '' && Number.isFinite(Number(etaMin)) ? ` · ~${Math.round(Number(etaMin))} min` : '';
+}
+
+
+async function runWithConcurrency(items, limit, worker) {
+    // simple worker pool: at most `limit` workers pull items until the list is exhausted
+    const results = new Array(items.length);
+    let next = 0;
+    const size = Math.max(1, Math.min(Number(limit) || 1, items.length));
+    const runners = Array.from({ length: size }, async () => {
+        while (next < items.length) {
+            const idx = next++;
+            results[idx] = await worker(items[idx], idx);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+
+function isOccupiedStatus(s) {
+    return ['in_use', 'charging', 'occupied'].includes(String(s || '').toLowerCase());
+}
+
 
 function parseConnectedState(v) {
     if (v === null || v === undefined || v === '') return null;
@@ -48,6 +81,435 @@ function parseChargingState(v) {
     return null;
 }
 
+const WEEKDAY_TOKENS = { so: 0, su: 0, mo: 1, di: 2, tu: 2, mi: 3, we: 3, do: 4, th: 4, fr: 5, sa: 6 };
+
+function parseTimeOfDay(v) {
+    // "HH:MM" -> minutes since midnight
+    const m = String(v ?? '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+    if (!m) return null;
+    const h = Number(m[1]);
+    const min = Number(m[2] || 0);
+    if (h > 24 || min > 59) return null;
+    return Math.min(24 * 60, h * 60 + min);
+}
+
+function waitAtMost(promise, ms) {
+    // resolves with the promise or after ms, whatever comes first; errors are swallowed
+    let timer = null;
+    return Promise.race([
+        Promise.resolve(promise).catch(() => {}),
+        new Promise((resolve) => (timer = setTimeout(resolve, ms))),
+    ]).finally(() => clearTimeout(timer));
+}
+
+function parseWeekdays(v) {
+    // "Mo-Fr", "Sa,So", "1,2,3" (0/7 = Sunday); empty -> every day
+    const s = String(v ?? '').trim().toLowerCase();
+    if (!s) return null;
+    const toDay = (t) => {
+        const key = t.trim().slice(0, 2);
+        if (key in WEEKDAY_TOKENS) return WEEKDAY_TOKENS[key];
+        const n = Number(t);
+        return Number.isInteger(n) && n >= 0 && n <= 7 ? n % 7 : null;
+    };
+    const days = new Set();
+    for (const part of s.split(/[,;\s]+/).filter(Boolean)) {
+        const [a, b] = part.split('-');
+        const from = toDay(a);
+        const to = b !== undefined ? toDay(b) : from;
+        if (from === null || to === null) continue;
+        for (let d = from, i = 0; i < 7; d = (d + 1) % 7, i++) {
+            days.add(d);
+            if (d === to) break;
+        }
+    }
+    return days.size ? days : null;
+}
+
+function getZonedParts(date, timeZone) {
+    // weekday (0 = Sunday) and minutes since midnight in the given IANA time zone (empty = system)
+    try {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+        }).formatToParts(date);
+        const get = (type) => parts.find((p) => p.type === type)?.value;
+        const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+        return { weekday, minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+    } catch {
+        return { weekday: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+}
+
+function isInTimeWindow(minutes, from, to) {
+    if (from === null && to === null) return true;
+    const f = from ?? 0;
+    const t = to ?? 24 * 60;
+    if (f === t) return true;
+    // windows like 22:00-07:00 wrap around midnight
+    return f < t ? (minutes >= f && minutes < t) : (minutes >= f || minutes < t);
+}
+
+// instance prefixes that can be used as communication channel (plus the built-in "webhook")
+const SUPPORTED_CHANNEL_PREFIXES = ['telegram.', 'whatsapp-cmb.', 'pushover.', 'open-wa.', 'email.', 'signal-cmb.', 'discord.'];
+
+// statusDerived values that count as "station broken"
+const STATION_FAULT_STATUSES = ['fault', 'faulted', 'unavailable', 'out_of_service', 'offline'];
+
+// nearest search: pages per radius before the search box is widened
+const NEAREST_MAX_PAGES = 3;
+
+// routing matrix: destinations per request (OSRM's default max-table-size is 100)
+const ROUTE_MATRIX_MAX_DESTINATIONS = 100;
+
+// onUnload: bounded wait for the last file writes, below common.stopTimeout in io-package.json
+const UNLOAD_WRITE_TIMEOUT_MS = 1500;
+
+// vehicle ids share car.<id> with the primary car's states and <station>.distance.<id> with km/m
+const VEHICLE_RESERVED_IDS = ['lat', 'lon', 'soc', 'rangekm', 'connected', 'charging', 'source', 'lastupdate', 'm', 'km'];
+
+// ---------- Message templates ----------
+// Defaults per system language; every entry can be overridden in the instance config (msgTpl<Type>).
+
+const MESSAGE_TEMPLATE_TYPES = ['available', 'occupied', 'fault', 'outage', 'recovered', 'occupiedTooLong', 'occupiedReleased', 'queueTurn', 'queueExpired', 'lastReachable', 'nearestChanged', 'test'];
+
+const DEFAULT_MESSAGE_TEMPLATES = {
+    de: {
+        available: 'Ladestation {station} in {city} ist nun frei ({freePorts}/{portCount})',
+        occupied: 'Ladestation {station} in {city} ist wieder belegt',
+        fault: 'Ladestation {station} in {city} meldet eine Störung ({status})',
+        outage: 'Ladestation {station} in {city} ist seit {polls} Abfragen nicht erreichbar',
+        recovered: 'Ladestation {station} in {city} ist wieder in Betrieb ({freePorts}/{portCount} frei)',
+        occupiedTooLong: 'Ladestation {station} in {city}: Ladepunkt {outlet} ist seit {minutes} min belegt',
+        occupiedReleased: 'Ladestation {station} in {city}: Ladepunkt {outlet} ist nach {minutes} min wieder frei',
+        queueTurn: 'Du bist dran: Ladestation {station} in {city} ist frei ({freePorts}/{portCount}). Bitte innerhalb von {minutes} min übernehmen.',
+        queueExpired: 'Deine Runde an Ladestation {station} in {city} ist abgelaufen und wurde weitergegeben.',
+        nearestChanged: 'Nächste freie Typ2-Station: {station} ({distanceM} m, {freePorts}/{portCount} frei)',
+        test: 'CPT Test: Kommunikation OK ✅',
+        testPrefix: 'TEST: ',
+        digestHeader: 'Zusammenfassung der Ruhezeit ({count}):',
+        btnNavigate: '🧭 Navigation',
+        btnMute: '🔕 1 h stumm',
+        btnRefresh: '🔄 Aktualisieren',
+        btnClaim: '✅ Übernehmen',
+        answerClaimed: '{station}: übernommen',
+        answerMuted: '{station}: 1 h stummgeschaltet',
+        answerRefresh: 'Aktualisierung: {result}',
+        answerUnknown: 'Station nicht gefunden',
+        answerNotYourTurn: '{station}: du bist nicht an der Reihe',
+        lastReachable: '⚠️ Letzte erreichbare freie Station (Reichweite {rangeKm} km)',
+    },
+    en: {
+        available: 'Charging station {station} in {city} is now available ({freePorts}/{portCount})',
+        occupied: 'Charging station {station} in {city} is occupied again',
+        fault: 'Charging station {station} in {city} reports a fault ({status})',
+        outage: 'Charging station {station} in {city} has been unreachable for {polls} polls',
+        recovered: 'Charging station {station} in {city} is back in service ({freePorts}/{portCount} free)',
+        occupiedTooLong: 'Charging station {station} in {city}: port {outlet} has been occupied for {minutes} min',
+        occupiedReleased: 'Charging station {station} in {city}: port {outlet} is free again after {minutes} min',
+        queueTurn: 'Your turn: charging station {station} in {city} is available ({freePorts}/{portCount}). Please claim it within {minutes} min.',
+        queueExpired: 'Your turn at charging station {station} in {city} has expired and was passed on.',
+        nearestChanged: 'Nearest free Type 2 station: {station} ({distanceM} m, {freePorts}/{portCount} free)',
+        test: 'CPT test: communication OK ✅',
+        testPrefix: 'TEST: ',
+        digestHeader: 'Quiet hours summary ({count}):',
+        btnNavigate: '🧭 Navigate',
+        btnMute: '🔕 Mute 1h',
+        btnRefresh: '🔄 Refresh now',
+        btnClaim: '✅ Claim',
+        answerClaimed: '{station}: claimed',
+        answerMuted: '{station}: muted for 1 h',
+        answerRefresh: 'Refresh: {result}',
+        answerUnknown: 'Station not found',
+        answerNotYourTurn: '{station}: it is not your turn',
+        lastReachable: '⚠️ Last reachable free station (range {rangeKm} km)',
+    },
+};
+
+function renderTemplate(template, vars) {
+    // "{name}" -> vars.name; unknown or empty values render as empty string
+    return String(template ?? '').replace(/\{(\w+)\}/g, (m, key) => {
+        const v = vars ? vars[key] : undefined;
+        if (v === undefined || v === null || (typeof v === 'number' && !Number.isFinite(v))) return '';
+        return String(v);
+    });
+}
+
+function normalizePlugType(v) {
+    // "Type 2" / "Typ2" / "Mennekes" -> "type2", "CCS2" / "Combo" -> "ccs", everything else as lower-case key
+    const s = String(v ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '');
+    if (!s) return '';
+    if (s === 'type2' || s === 'typ2' || s === 't2' || s === 'mennekes') return 'type2';
+    if (s === 'ccs' || s === 'ccs2' || s === 'combo' || s === 'combo2') return 'ccs';
+    if (s === 'chademo') return 'chademo';
+    return s;
+}
+
+function parsePlugTypes(v) {
+    return String(v ?? '').split(/[,;]/).map(normalizePlugType).filter(Boolean);
+}
+
+// ---------- Routing providers ----------
+// Every backend answers route() with the driving distance in meters and the travel time
+// in seconds; getDistanceInfo() falls back to the air-line distance when it fails.
+
+async function fetchRouteJson(url, params, body) {
+    // GET, or POST when a JSON body is given (matrix requests)
+    const options = {
+        timeout: 20000,
+        params,
+        validateStatus: () => true,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (iobroker.cpt)',
+            Accept: 'application/json,text/plain,*/*',
+        },
+    };
+    const resp = body === undefined ? await axios.get(url, options) : await axios.post(url, body, options);
+    if (resp.status >= 200 && resp.status < 300) return resp.data || {};
+    const errText = typeof resp?.data === 'string' ? resp.data : JSON.stringify(resp?.data || {});
+    throw new Error(`HTTP ${resp.status} ${errText}`.slice(0, 500));
+}
+
+class TomTomRouting {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.id = 'tomtom';
+        this.label = 'TomTom';
+        this.baseUrl = String(options.baseUrl || 'https://api.tomtom.com').trim().replace(/\/+$/, '');
+        this.apiKey = String(options.apiKey || '').trim();
+        this.traffic = options.traffic !== false;
+        // part of the route cache key: results with and without traffic differ
+        this.cacheId = `tomtom-${this.traffic ? 'traffic' : 'free'}`;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    async route(lat1, lon1, lat2, lon2) {
+        const locs = `${Number(lat1)},${Number(lon1)}:${Number(lat2)},${Number(lon2)}`;
+        const data = await fetchRouteJson(`${this.baseUrl}/routing/1/calculateRoute/${locs}/json`, {
+            key: this.apiKey,
+            travelMode: 'car',
+            routeType: 'fastest',
+            traffic: this.traffic ? 'true' : 'false',
+        });
+        const summary = data?.routes?.[0]?.summary;
+        return { m: Number(summary?.lengthInMeters), travelTimeSec: Number(summary?.travelTimeInSeconds) };
+    }
+
+    async matrix(origin, destinations) {
+        // synchronous Matrix Routing v2, one row for the origin
+        const point = (p) => ({ point: { latitude: Number(p.lat), longitude: Number(p.lon) } });
+        const data = await fetchRouteJson(`${this.baseUrl}/routing/matrix/2`, { key: this.apiKey }, {
+            origins: [point(origin)],
+            destinations: destinations.map(point),
+            options: { travelMode: 'car', routeType: 'fastest', traffic: this.traffic ? 'live' : 'historical' },
+        });
+        const results = destinations.map(() => null);
+        for (const cell of Array.isArray(data?.data) ? data.data : []) {
+            const summary = cell?.routeSummary;
+            if (summary && results[cell.destinationIndex] !== undefined) {
+                results[cell.destinationIndex] = { m: Number(summary.lengthInMeters), travelTimeSec: Number(summary.travelTimeInSeconds) };
+            }
+        }
+        return results;
+    }
+}
+
+class OsrmRouting {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.id = 'osrm';
+        this.label = 'OSRM';
+        this.cacheId = 'osrm';
+        // self-hosted osrm-routed, e.g. http://localhost:5000
+        this.baseUrl = String(options.baseUrl || '').trim().replace(/\/+$/, '');
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    async route(lat1, lon1, lat2, lon2) {
+        // OSRM expects lon,lat
+        const coords = `${Number(lon1)},${Number(lat1)};${Number(lon2)},${Number(lat2)}`;
+        const data = await fetchRouteJson(`${this.baseUrl}/route/v1/driving/${coords}`, { overview: 'false' });
+        if (data.code !== 'Ok') throw new Error(`OSRM ${data.code || 'ohne Ergebnis'} ${data.message || ''}`.trim());
+        const r = data.routes?.[0];
+        return { m: Number(r?.distance), travelTimeSec: Number(r?.duration) };
+    }
+
+    async matrix(origin, destinations) {
+        // table service: source 0 is the origin, the destinations follow
+        const coords = [origin, ...destinations].map((p) => `${Number(p.lon)},${Number(p.lat)}`).join(';');
+        const data = await fetchRouteJson(`${this.baseUrl}/table/v1/driving/${coords}`, { sources: '0', annotations: 'distance,duration' });
+        if (data.code !== 'Ok') throw new Error(`OSRM ${data.code || 'ohne Ergebnis'} ${data.message || ''}`.trim());
+        const distances = data.distances?.[0] || [];
+        const durations = data.durations?.[0] || [];
+        // unreachable destinations are null in the table
+        return destinations.map((_, i) => (distances[i + 1] === null || distances[i + 1] === undefined
+            ? null
+            : { m: Number(distances[i + 1]), travelTimeSec: Number(durations[i + 1]) }));
+    }
+}
+
+class GraphHopperRouting {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.id = 'graphhopper';
+        this.label = 'GraphHopper';
+        // self-hosted GraphHopper server, e.g. http://localhost:8989 (the API key is only needed for the hosted service)
+        this.baseUrl = String(options.baseUrl || '').trim().replace(/\/+$/, '');
+        this.apiKey = String(options.apiKey || '').trim();
+        this.profile = String(options.profile || '').trim() || 'car';
+        this.cacheId = `graphhopper-${this.profile}`;
+        // no matrix(): the open-source server has no matrix endpoint, so every station is a single route
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    async route(lat1, lon1, lat2, lon2) {
+        // point is repeated, so it goes into the URL instead of the params object
+        const url = `${this.baseUrl}/route?point=${Number(lat1)},${Number(lon1)}&point=${Number(lat2)},${Number(lon2)}`;
+        const data = await fetchRouteJson(url, { profile: this.profile, calc_points: 'false', ...(this.apiKey ? { key: this.apiKey } : {}) });
+        const path = data?.paths?.[0];
+        const timeMs = Number(path?.time);
+        return { m: Number(path?.distance), travelTimeSec: Number.isFinite(timeMs) ? Math.round(timeMs / 1000) : NaN };
+    }
+}
+
+// ---------- Charging network providers ----------
+// Every provider returns device data in the ChargePoint "station/info" shape
+// ({ city, latitude, longitude, portsInfo: { ports: [...] } }), so the poll logic
+// and all station/port states are the same regardless of the source network.
+
+class ChargePointProvider {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.id = 'chargepoint';
+        this.label = 'ChargePoint';
+        this.baseUrl = String(options.baseUrl || 'https://mc.chargepoint.com').replace(/\/+$/, '');
+    }
+
+    parseDeviceId(v) {
+        const n = Number(v);
+        return Number.isFinite(n) && n > 0 ? n : null;
+    }
+
+    getStationInfoUrl(deviceId) {
+        return `${this.baseUrl}/map-prod/v3/station/info?deviceId=${deviceId}`;
+    }
+
+    getMapSearchUrl(payload) {
+        return `${this.baseUrl}/map-prod/v2?` + encodeURIComponent(JSON.stringify(payload));
+    }
+
+    async fetchDevice(deviceId) {
+        const url = this.getStationInfoUrl(deviceId);
+        this.adapter.log.debug(`GET ${url}`);
+        const res = await axios.get(url, { timeout: 12000 });
+        return res.data || {};
+    }
+}
+
+class OcpiProvider {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.id = 'ocpi';
+        this.label = 'OCPI 2.2';
+        // Locations module endpoint of the CPO, e.g. https://cpo.example.com/ocpi/2.2/locations
+        this.locationsUrl = String(options.locationsUrl || '').trim().replace(/\/+$/, '');
+        this.token = String(options.token || '').trim();
+    }
+
+    parseDeviceId(v) {
+        const s = v === undefined || v === null ? '' : String(v).trim();
+        return s || null;
+    }
+
+    normalizeStatus(val) {
+        const s = String(val || '').trim().toUpperCase();
+        if (s === 'AVAILABLE') return 'available';
+        if (['CHARGING', 'BLOCKED', 'RESERVED'].includes(s)) return 'in_use';
+        if (s === 'OUTOFORDER') return 'fault';
+        if (['INOPERATIVE', 'PLANNED', 'REMOVED'].includes(s)) return 'unavailable';
+        return 'unknown';
+    }
+
+    plugTypeName(standard) {
+        const map = {
+            IEC_62196_T2: 'Type 2',
+            IEC_62196_T2_COMBO: 'CCS',
+            CHADEMO: 'CHAdeMO',
+            IEC_62196_T1: 'Type 1',
+            IEC_62196_T1_COMBO: 'CCS1',
+            DOMESTIC_F: 'Schuko',
+            TESLA_S: 'Tesla',
+        };
+        return map[String(standard || '').toUpperCase()] || String(standard || '');
+    }
+
+    connectorPowerKw(c) {
+        const maxW = Number(c?.max_electric_power);
+        if (Number.isFinite(maxW) && maxW > 0) return Math.round(maxW / 100) / 10;
+        const v = Number(c?.max_voltage);
+        const a = Number(c?.max_amperage);
+        if (!Number.isFinite(v) || !Number.isFinite(a)) return undefined;
+        // OCPI voltage is line to neutral, so three-phase AC needs the factor 3
+        const phases = c?.power_type === 'AC_3_PHASE' ? 3 : 1;
+        return Math.round((v * a * phases) / 100) / 10;
+    }
+
+    async fetchDevice(locationId) {
+        if (!this.locationsUrl) throw new Error('OCPI Locations-URL nicht konfiguriert');
+        const url = `${this.locationsUrl}/${encodeURIComponent(locationId)}`;
+        this.adapter.log.debug(`GET ${url}`);
+        const res = await axios.get(url, {
+            timeout: 12000,
+            headers: {
+                Accept: 'application/json',
+                ...(this.token ? { Authorization: `Token ${this.token}` } : {}),
+            },
+        });
+        const body = res.data || {};
+        if (body.status_code !== undefined && Number(body.status_code) >= 2000) {
+            throw new Error(`OCPI status ${body.status_code} ${body.status_message || ''}`.trim());
+        }
+        const loc = body.data && typeof body.data === 'object' ? body.data : body;
+
+        const evses = Array.isArray(loc.evses) ? loc.evses : [];
+        const ports = evses.map((evse, idx) => {
+            const connector = Array.isArray(evse?.connectors) && evse.connectors.length ? evse.connectors[0] : {};
+            const status = this.normalizeStatus(evse?.status);
+            return {
+                outletNumber: idx + 1,
+                status,
+                statusV2: status,
+                evseId: evse?.evse_id || evse?.uid || '',
+                powerRange: { max: this.connectorPowerKw(connector) },
+                connectorList: [{ displayPlugType: this.plugTypeName(connector?.standard) }],
+            };
+        });
+
+        const lat = parseNumberLocale(loc.coordinates?.latitude);
+        const lon = parseNumberLocale(loc.coordinates?.longitude);
+        return {
+            name: loc.name || '',
+            city: loc.city || '',
+            address: { address1: loc.address || '', postal_code: loc.postal_code || '', city: loc.city || '' },
+            latitude: Number.isFinite(lat) ? lat : undefined,
+            longitude: Number.isFinite(lon) ? lon : undefined,
+            portsInfo: { ports },
+        };
+    }
+}
+
 class CptAdapter extends utils.Adapter {
     constructor(options) {
         super({ ...options, name: 'cpt' });
@@ -83,17 +545,33 @@ class CptAdapter extends utils.Adapter {
         this.carChargingStateId = (this.config && this.config.carChargingStateId) ? String(this.config.carChargingStateId).trim() : '';
         this.carConnected = null;
         this.carCharging = null;
+        // vehicle profile for the range calculation (batteryKwh 0 = no range)
+        this.vehicle = { batteryKwh: 0, consumptionKwh100: 18, reservePct: 10 };
+        this.carRangeKm = null;
+        // additional cars from the vehicles table ({ [id]: vehicle }); the car above stays the primary one
+        this.vehicles = {};
+        this.vehicleByStateId = {};
         this.carLatStatic = (this.config && this.config.carLat !== undefined && this.config.carLat !== null && this.config.carLat !== '') ? Number(this.config.carLat) : null;
         this.carLonStatic = (this.config && this.config.carLon !== undefined && this.config.carLon !== null && this.config.carLon !== '') ? Number(this.config.carLon) : null;
 
-        // optional TomTom route distance (fallback remains haversine)
+        // optional route distance via TomTom, OSRM or GraphHopper (fallback remains haversine)
         this.tomtomApiKey = (this.config && this.config.tomtomApiKey) ? String(this.config.tomtomApiKey).trim() : '';
         this.tomtomTraffic = (this.config && this.config.tomtomTraffic !== undefined) ? isTrue(this.config.tomtomTraffic) : true;
         this.tomtomCacheMin = (this.config && this.config.tomtomCacheMin !== undefined && this.config.tomtomCacheMin !== null && this.config.tomtomCacheMin !== '')
             ? Number(this.config.tomtomCacheMin)
             : 10;
-        this.tomtomDistanceCache = new Map();
-        this.tomtomWarned = false;
+        this.tomtomBaseUrl = 'https://api.tomtom.com';
+        this.routingProviderId = 'tomtom';
+        this.routingProviders = {};
+        // route cache, persisted in the adapter files so restarts do not repeat paid routing calls
+        this.routeDistanceCache = new Map(); // { [cacheKey]: { expires, value } }, oldest use first
+        this.routeCacheFile = 'routes.json';
+        this.routeCacheMaxEntries = 2000;
+        this.routeCacheTtlHours = 24;
+        this.routeCacheDirty = false;
+        // daily request counter (tools.routing.*), 0 = no budget
+        this.routingDailyBudget = 0;
+        this.routingCounter = { day: '', requests: 0, matrix: 0, exceeded: false, cacheHits: 0, cacheMisses: 0 };
 
         // Notification filters
         this.notifySocBelow = (this.config && this.config.notifySocBelow !== undefined && this.config.notifySocBelow !== null && this.config.notifySocBelow !== '')
@@ -102,6 +580,8 @@ class CptAdapter extends utils.Adapter {
         this.notifyMaxDistanceM = (this.config && this.config.notifyMaxDistanceM !== undefined && this.config.notifyMaxDistanceM !== null && this.config.notifyMaxDistanceM !== '')
             ? Number(this.config.notifyMaxDistanceM)
             : 500;
+        // optional: only notify when the station is reachable within this many minutes (0 = off)
+        this.notifyMaxEtaMin = 0;
 
         this.notifyCooldownMin = (this.config && this.config.notifyCooldownMin !== undefined && this.config.notifyCooldownMin !== null && this.config.notifyCooldownMin !== '')
             ? Number(this.config.notifyCooldownMin)
@@ -109,7 +589,67 @@ class CptAdapter extends utils.Adapter {
 
         // per-station notify memory to avoid duplicates
         // notifiedPosKey: last car position key (rounded) for which we already notified while station was free
-        this.notifyMetaByStation = {}; // { [stationPrefixRel]: { notifiedPosKey:string|null, lastSent:number } }
+        // (notifiedPosKeyByVehicle: the same per additional vehicle)
+        this.notifyMetaByStation = {}; // { [stationPrefixRel]: { notifiedPosKey:string|null, notifiedPosKeyByVehicle:{}, lastSent:number, notifiedLabels:string[] } }
+
+        // cooldown per station and recipient, persisted so restarts do not re-send
+        this.notifyStateFile = 'notify-state.json';
+        this.notifyLastSentByKey = {}; // { ["<stationPrefixRel>|<recipient label>"]: ts }
+
+        // global quiet hours; deferred messages are collected per recipient and sent as one digest afterwards
+        this.quietHoursEnabled = false;
+        this.quietFrom = null;
+        this.quietTo = null;
+        this.quietMode = 'digest'; // 'digest' | 'suppress'
+        this.digestQueue = {}; // { [recipient label]: { [stationPrefixRel]: { ts, text } } }
+        this.digestTimer = null;
+
+        // message templates (resolved in onReady from config + system language)
+        this.language = 'de';
+        this.messageTemplates = { ...DEFAULT_MESSAGE_TEMPLATES.de };
+        this.notifyOnOccupied = false;
+        this.notifyNearestChanged = false;
+
+        // Telegram: location pin + inline buttons; callback answers arrive via <instance>.communicate.request
+        this.telegramRich = true;
+        this.telegramLocation = true;
+        this.telegramRequestIds = new Set();
+        this.stationMutedUntil = {}; // { [stationPrefixRel]: { until, prev } } -> notifyOnAvailable is set back to prev afterwards
+
+        // delivery confirmation: sendTo callbacks with timeout, undelivered messages are retried from a persisted outbox
+        this.sendTimeoutMs = 10 * 1000;
+        this.sendRetryMax = 5;
+        this.sendRetryBaseMs = 30 * 1000;
+        this.sendRetryMaxDelayMs = 30 * 60 * 1000;
+        this.outboxFile = 'outbox.json';
+        this.outbox = []; // [{ instance, label, command, url, headers, payload, createdTs, attempts, nextTryTs, lastError }]
+        this.outboxMaxEntries = 200;
+        this.outboxMaxAgeMs = 24 * 60 * 60 * 1000;
+        this.outboxTimer = null;
+        this.outboxRunning = false;
+        this.deliveryChain = Promise.resolve(); // detached channel deliveries, kept in order
+        this.channelObjectsCreated = new Set();
+
+        // structured event log (ring buffer) for dashboards: tools.eventsJson + events.json
+        this.eventsFile = 'events.json';
+        this.events = []; // [{ ts, type, ... }] oldest first
+        this.eventLogSize = 200;
+        this.eventsTimer = null;
+        this.lastDerivedStatusByPrefix = {};
+
+        // fault / outage alerts per station; "alerted" is persisted so restarts do not repeat an alert
+        this.faultAlertsEnabled = false;
+        this.outageAfterPolls = 3;
+        this.stationHealthByPrefix = {}; // { [stationPrefixRel]: { failedPolls:number, alerted:'fault'|'outage'|null } }
+
+        // "occupied too long": one alert per occupied phase and port, persisted with the notify state
+        this.occupiedTooLongMin = 0; // 0 = off
+        this.occupiedAlertByKey = {}; // { ["<stationPrefixRel>|<outlet>"]: { since, alertedAt } }
+
+        // queue for shared stations: only the first in line is notified and has to claim within the timeout
+        this.queueClaimTimeoutMin = 10;
+        // claimed: the claimant has not plugged in yet, no new offer until the free ports drop or the window ends
+        this.queueByPrefix = {}; // { [stationPrefixRel]: { entries: [{ label, joinedAt }], turn: { label, offeredAt, expiresAt } | null, claimed: { label, until, freePorts } | null } }
 
         // per-port status cache (to detect transitions to "available")
         this.lastPortStatusByKey = {}; // { ["stations.<city>.<station>|<outlet>"]: "available"|... }
@@ -119,9 +659,35 @@ class CptAdapter extends utils.Adapter {
         this.lastManualRefreshTs = 0;
         this.refreshMinGapMs = 5000;
 
+        // polling: bounded fetch concurrency + exponential backoff per failing device ID
+        this.pollRunning = false;
+        this.pollConcurrency = 4;
+        this.providers = {}; // station data sources, built in onReady from the config
+        this.fetchBackoffByDeviceId = {}; // { [deviceId]: { failures, nextTryTs } }
+        this.fetchBackoffBaseMs = 30 * 1000;
+        this.fetchBackoffMaxMs = 30 * 60 * 1000;
+
+        // per-port charging sessions (occupied phases), persisted in the adapter files
+        this.sessionHistoryFile = 'sessions.json';
+        this.sessionHistoryDays = 7;
+        this.sessionHistory = []; // [{ stationPrefix, station, city, outlet, evseId, maxPowerKw, start, end, durationMin }]
+        this.openSessionsByKey = {}; // { ["stations.<city>.<station>|<outlet>"]: { start, evseId, maxPowerKw } }
+        this.sessionHistoryDirty = false;
+
+        // weekday/hour occupancy model per station (observed on every poll), persisted in the adapter files
+        this.forecastFile = 'forecast.json';
+        this.forecastByStation = {}; // { [stationPrefixRel]: { ["<weekday>-<hour>"]: { n, free } } }
+        this.forecastDirty = false;
+        this.forecastMinSamples = 3;
+        // at most one sample per station and poll interval, manual refreshes would over-weight the hours in which users look
+        this.forecastSampleGapMs = 5 * 60 * 1000;
+        this.forecastLastSampleTs = {}; // { [stationPrefixRel]: ts }
+        this.forecastFreeThresholdPct = 50;
+
         // remember which incomplete stations were already warned (avoid log spam)
         this.invalidStationWarned = new Set();
         this.stationInfoByPrefix = {}; // { [prefix]: { city, name } }
+        this.freePortsByPrefix = {}; // { [prefix]: [{ outlet, plug, kw }] } free ports of the last poll (plug/kW filter of the subscriptions)
 
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
@@ -143,6 +709,10 @@ class CptAdapter extends utils.Adapter {
         return s || 'unknown';
     }
 
+    getProvider(id) {
+        return this.providers[String(id || '').trim().toLowerCase()] || this.providers.chargepoint;
+    }
+
     deriveStationStatusFromPorts(ports) {
         const statuses = (Array.isArray(ports) ? ports : []).map((p) => this.normalizeStatus(p?.statusV2 || p?.status));
         // Priority for UI:
@@ -217,13 +787,15 @@ class CptAdapter extends utils.Adapter {
         return R * c;
     }
 
-    getTomTomEnabled() {
-        return !!(this.tomtomApiKey && String(this.tomtomApiKey).trim());
+    getRoutingProvider() {
+        // selected backend if it is configured, null = air-line distance only
+        const provider = this.routingProviders[this.routingProviderId];
+        return provider && provider.isConfigured() ? provider : null;
     }
 
-    makeTomTomCacheKey(lat1, lon1, lat2, lon2) {
+    makeRouteCacheKey(providerId, lat1, lon1, lat2, lon2) {
         const r = (n) => Number(n).toFixed(5);
-        return `${r(lat1)},${r(lon1)}>${r(lat2)},${r(lon2)}`;
+        return `${providerId}|${r(lat1)},${r(lon1)}>${r(lat2)},${r(lon2)}`;
     }
 
     async getDistanceInfo(lat1, lon1, lat2, lon2) {
@@ -235,70 +807,44 @@ class CptAdapter extends utils.Adapter {
             travelTimeSec: null,
         };
 
-        if (!this.getTomTomEnabled()) {
-            this.log.debug('keinen TomTom API-Key konfiguriert -> Luftlinie aktiv');
+        const provider = this.getRoutingProvider();
+        if (!provider) {
+            this.log.debug('kein Routing-Backend konfiguriert -> Luftlinie aktiv');
             return fallback;
         }
 
-        const cacheMin = Number.isFinite(this.tomtomCacheMin) ? Number(this.tomtomCacheMin) : 10;
-        const cacheKey = this.makeTomTomCacheKey(lat1, lon1, lat2, lon2);
-        const now = Date.now();
-        if (cacheMin > 0 && this.tomtomDistanceCache.has(cacheKey)) {
-            const cached = this.tomtomDistanceCache.get(cacheKey);
-            if (cached && cached.expires > now) return cached.value;
-            this.tomtomDistanceCache.delete(cacheKey);
-        }
+        const cacheMin = this.getRouteCacheTtlMin(provider);
+        const cacheKey = this.makeRouteCacheKey(provider.cacheId, lat1, lon1, lat2, lon2);
+        // also holds matrix results, even with the cache switched off
+        const cached = this.getCachedRoute(cacheKey, true);
+        if (cached) return cached;
 
-        const locs = `${Number(lat1)},${Number(lon1)}:${Number(lat2)},${Number(lon2)}`;
-        const url = `https://api.tomtom.com/routing/1/calculateRoute/${locs}/json`;
-        const params = {
-            key: this.tomtomApiKey,
-            travelMode: 'car',
-            routeType: 'fastest',
-        };
-        params.traffic = this.tomtomTraffic ? 'true' : 'false';
+        if (!(await this.takeRoutingRequest('route'))) {
+            return {
+                ...fallback,
+                source: 'fallback',
+            };
+        }
 
         try {
-            const resp = await axios.get(url, {
-                timeout: 20000,
-                params,
-                validateStatus: () => true,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (iobroker.cpt)',
-                    Accept: 'application/json,text/plain,*/*',
-                },
-            });
-
-            if (resp.status >= 200 && resp.status < 300) {
-                const summary = resp?.data?.routes?.[0]?.summary;
-                const m = Number(summary?.lengthInMeters);
-                const travelTimeSec = Number(summary?.travelTimeInSeconds);
-                if (Number.isFinite(m) && m >= 0) {
-                    const value = {
-                        source: 'tomtom',
-                        km: m / 1000,
-                        m: Math.round(m),
-                        travelTimeSec: Number.isFinite(travelTimeSec) ? travelTimeSec : null,
-                    };
-                    this.log.debug(`Distanz via TomTom Routing API berechnet: ${value.km.toFixed(2)} km (${Math.round(m)} m)`);
-                    if (cacheMin > 0) {
-                        this.tomtomDistanceCache.set(cacheKey, {
-                            expires: now + (cacheMin * 60 * 1000),
-                            value,
-                        });
-                    }
-                    return value;
-                }
-            }
-
-            const errText = typeof resp?.data === 'string' ? resp.data : JSON.stringify(resp?.data || {});
-            throw new Error(`HTTP ${resp.status} ${errText}`.slice(0, 500));
+            const route = await provider.route(lat1, lon1, lat2, lon2);
+            const m = Number(route?.m);
+            if (!Number.isFinite(m) || m < 0) throw new Error('keine Route in der Antwort');
+            const value = {
+                source: provider.id,
+                km: m / 1000,
+                m: Math.round(m),
+                travelTimeSec: Number.isFinite(route.travelTimeSec) ? route.travelTimeSec : null,
+            };
+            this.log.debug(`Distanz via ${provider.label} berechnet: ${value.km.toFixed(2)} km (${Math.round(m)} m)`);
+            if (cacheMin > 0) this.setCachedRoute(cacheKey, value, cacheMin);
+            return value;
         } catch (e) {
-            if (!this.tomtomWarned) {
-                this.tomtomWarned = true;
-                this.log.warn(`TomTom Routing nicht nutzbar, falle auf Luftlinie zurück: ${e.message}`);
+            if (!provider.warned) {
+                provider.warned = true;
+                this.log.warn(`${provider.label} Routing nicht nutzbar, falle auf Luftlinie zurück: ${e.message}`);
             } else {
-                this.log.debug(`TomTom Routing fehlgeschlagen, fallback Luftlinie: ${e.message}`);
+                this.log.debug(`${provider.label} Routing fehlgeschlagen, fallback Luftlinie: ${e.message}`);
             }
             return {
                 ...fallback,
@@ -307,6 +853,193 @@ class CptAdapter extends utils.Adapter {
         }
     }
 
+    async prefetchRouteMatrix(lat, lon, points) {
+        // one matrix request instead of a route per destination; the results go into the route cache
+        const provider = this.getRoutingProvider();
+        if (!provider || typeof provider.matrix !== 'function') return;
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+
+        const todo = new Map();
+        for (const p of points) {
+            if (!Number.isFinite(Number(p?.lat)) || !Number.isFinite(Number(p?.lon))) continue;
+            const key = this.makeRouteCacheKey(provider.cacheId, lat, lon, p.lat, p.lon);
+            if (!this.getCachedRoute(key)) todo.set(key, { lat: Number(p.lat), lon: Number(p.lon) });
+        }
+        // a single destination is not cheaper as matrix
+        if (todo.size < 2) return;
+
+        const cacheMin = this.getRouteCacheTtlMin(provider) || 1;
+        const entries = Array.from(todo.entries());
+        for (let i = 0; i < entries.length; i += ROUTE_MATRIX_MAX_DESTINATIONS) {
+            const chunk = entries.slice(i, i + ROUTE_MATRIX_MAX_DESTINATIONS);
+            if (!(await this.takeRoutingRequest('matrix', chunk.length))) return;
+            try {
+                const results = await provider.matrix({ lat, lon }, chunk.map(([, p]) => p));
+                chunk.forEach(([key], idx) => {
+                    const r = results[idx];
+                    if (!r || !Number.isFinite(r.m) || r.m < 0) return;
+                    this.setCachedRoute(key, { source: provider.id, km: r.m / 1000, m: Math.round(r.m), travelTimeSec: Number.isFinite(r.travelTimeSec) ? r.travelTimeSec : null }, cacheMin);
+                });
+                this.log.debug(`Distanz-Matrix via ${provider.label}: ${chunk.length} Ziele`);
+            } catch (e) {
+                // the single routes in getDistanceInfo remain as fallback
+                this.log.debug(`${provider.label} Matrix fehlgeschlagen, einzelne Routen: ${e.message}`);
+                return;
+            }
+        }
+    }
+
+    async prefetchStationDistances(points, vehicle = null) {
+        // origins: the given vehicle, otherwise the primary car and every additional vehicle
+        const origins = vehicle ? [vehicle] : [{ lat: this.carLat, lon: this.carLon }, ...Object.values(this.vehicles)];
+        for (const origin of origins) await this.prefetchRouteMatrix(origin.lat, origin.lon, points);
+    }
+
+    getRouteCacheTtlMin(provider) {
+        // travel times with traffic go stale within minutes, plain routes stay valid across restarts
+        const ttlMin = provider.id === 'tomtom' && provider.traffic ? Number(this.tomtomCacheMin) : Number(this.routeCacheTtlHours) * 60;
+        return Number.isFinite(ttlMin) && ttlMin > 0 ? ttlMin : 0;
+    }
+
+    getCachedRoute(key, count = false) {
+        // count = lookup of getDistanceInfo (tools.routing.cacheHitsToday / cacheMissesToday)
+        const cached = this.routeDistanceCache.get(key);
+        const hit = !!(cached && cached.expires > Date.now());
+        if (cached && !hit) {
+            this.routeDistanceCache.delete(key);
+            this.routeCacheDirty = true;
+        }
+        if (count) {
+            const c = this.rollRoutingCounter();
+            if (hit) c.cacheHits++;
+            else c.cacheMisses++;
+        }
+        if (!hit) return null;
+        // move to the end, the size limit drops the least recently used entries first
+        this.routeDistanceCache.delete(key);
+        this.routeDistanceCache.set(key, cached);
+        return cached.value;
+    }
+
+    setCachedRoute(key, value, ttlMin) {
+        this.routeDistanceCache.delete(key);
+        this.routeDistanceCache.set(key, { expires: Date.now() + (ttlMin * 60 * 1000), value });
+        for (const oldest of this.routeDistanceCache.keys()) {
+            if (this.routeDistanceCache.size <= this.routeCacheMaxEntries) break;
+            this.routeDistanceCache.delete(oldest);
+        }
+        this.routeCacheDirty = true;
+    }
+
+    async loadRouteCache() {
+        try {
+            const res = await this.readFileAsync(this.namespace, this.routeCacheFile);
+            const raw = res && res.file !== undefined ? res.file : res;
+            const data = raw ? JSON.parse(raw.toString()) : null;
+            const now = Date.now();
+            const entries = Array.isArray(data?.routes) ? data.routes : [];
+            this.routeDistanceCache = new Map(entries.filter((e) => Array.isArray(e) && e[1] && e[1].expires > now).slice(-this.routeCacheMaxEntries));
+            this.log.debug(`Routen-Cache geladen: ${this.routeDistanceCache.size} Einträge`);
+        } catch (e) {
+            // file does not exist on first start
+            this.log.debug(`Routen-Cache nicht geladen: ${e.message}`);
+            this.routeDistanceCache = new Map();
+        }
+        this.routeCacheDirty = false;
+        await this.updateStateIfChanged('tools.routing.cacheEntries', this.routeDistanceCache.size);
+    }
+
+    async saveRouteCache() {
+        await this.writeRoutingCounterStates();
+        if (!this.routeCacheDirty) return;
+        const now = Date.now();
+        for (const [key, cached] of this.routeDistanceCache) {
+            if (!(cached.expires > now)) this.routeDistanceCache.delete(key);
+        }
+        try {
+            await this.writeFileAsync(this.namespace, this.routeCacheFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                routes: Array.from(this.routeDistanceCache.entries()),
+            }));
+            this.routeCacheDirty = false;
+        } catch (e) {
+            this.log.warn(`Konnte Routen-Cache nicht schreiben: ${e.message}`);
+        }
+        await this.updateStateIfChanged('tools.routing.cacheEntries', this.routeDistanceCache.size);
+    }
+
+    async clearRouteCache() {
+        const count = this.routeDistanceCache.size;
+        this.routeDistanceCache.clear();
+        this.routeCacheDirty = true;
+        await this.saveRouteCache();
+        this.log.info(`Routen-Cache geleert (${count} Einträge)`);
+        return count;
+    }
+
+    rollRoutingCounter() {
+        const d = new Date();
+        const day = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        const c = this.routingCounter;
+        if (c.day !== day) Object.assign(c, { day, requests: 0, matrix: 0, exceeded: false, cacheHits: 0, cacheMisses: 0 });
+        return c;
+    }
+
+    async takeRoutingRequest(kind = 'route', cost = 1) {
+        // counts routing API usage per day (a matrix call costs one per destination, like the provider quotas); false once the daily budget is used up
+        const c = this.rollRoutingCounter();
+
+        if (this.routingDailyBudget > 0 && c.requests < this.routingDailyBudget && c.requests + cost > this.routingDailyBudget) {
+            // the matrix does not fit any more, single routes may still
+            this.log.debug(`Routing-Tagesbudget: Matrix mit ${cost} Zielen passt nicht mehr (${c.requests}/${this.routingDailyBudget})`);
+            return false;
+        }
+        if (this.routingDailyBudget > 0 && c.requests >= this.routingDailyBudget) {
+            if (!c.exceeded) {
+                c.exceeded = true;
+                this.log.warn(`Routing-Tagesbudget (${this.routingDailyBudget} Anfragen) erreicht, bis morgen nur Luftlinie`);
+                this.recordEvent('routingBudgetExceeded', { budget: this.routingDailyBudget });
+                await this.writeRoutingCounterStates();
+            }
+            return false;
+        }
+        c.requests += cost;
+        if (kind === 'matrix') c.matrix++;
+        await this.writeRoutingCounterStates();
+        return true;
+    }
+
+    async writeRoutingCounterStates() {
+        const c = this.routingCounter;
+        await this.updateStateIfChanged('tools.routing.day', c.day);
+        await this.updateStateIfChanged('tools.routing.requestsToday', c.requests);
+        await this.updateStateIfChanged('tools.routing.matrixRequestsToday', c.matrix);
+        await this.updateStateIfChanged('tools.routing.dailyBudget', this.routingDailyBudget);
+        await this.updateStateIfChanged('tools.routing.budgetExceeded', c.exceeded);
+        await this.updateStateIfChanged('tools.routing.cacheHitsToday', c.cacheHits);
+        await this.updateStateIfChanged('tools.routing.cacheMissesToday', c.cacheMisses);
+    }
+
+    async loadRoutingCounter() {
+        // the counter survives restarts via its own states
+        const [daySt, reqSt, matrixSt, hitSt, missSt] = await Promise.all([
+            this.getStateAsync('tools.routing.day').catch(() => null),
+            this.getStateAsync('tools.routing.requestsToday').catch(() => null),
+            this.getStateAsync('tools.routing.matrixRequestsToday').catch(() => null),
+            this.getStateAsync('tools.routing.cacheHitsToday').catch(() => null),
+            this.getStateAsync('tools.routing.cacheMissesToday').catch(() => null),
+        ]);
+        this.routingCounter = {
+            day: daySt?.val ? String(daySt.val) : '',
+            requests: Number(reqSt?.val) || 0,
+            matrix: Number(matrixSt?.val) || 0,
+            exceeded: false,
+            cacheHits: Number(hitSt?.val) || 0,
+            cacheMisses: Number(missSt?.val) || 0,
+        };
+        await this.writeRoutingCounterStates();
+    }
+
     async updateStateIfChanged(id, val, ack = true) {
         const cur = await this.getStateAsync(id).catch(() => null);
         const curVal = cur ? cur.val : undefined;
@@ -365,9 +1098,16 @@ class CptAdapter extends utils.Adapter {
                 instance: String(c.instance).trim(),
                 user: c.user !== undefined && c.user !== null ? String(c.user).trim() : '',
                 label: c.label !== undefined && c.label !== null ? String(c.label).trim() : '',
+                url: c.url ? String(c.url).trim() : '',
+                // the shared key is an encrypted native; a key in the table row is only read from old configs
+                secret: c.secret ? String(c.secret) : String(this.config?.webhookSecret || ''),
             }))
             .filter((c) => {
-                const ok = c.instance.startsWith('telegram.') || c.instance.startsWith('whatsapp-cmb.') || c.instance.startsWith('pushover.') || c.instance.startsWith('open-wa.');
+                if (c.instance === 'webhook') {
+                    if (!c.url) this.log.debug('Webhook ohne URL ignoriert' + (c.label ? ': ' + c.label : ''));
+                    return !!c.url;
+                }
+                const ok = SUPPORTED_CHANNEL_PREFIXES.some((p) => c.instance.startsWith(p));
                 if (!ok) this.log.debug('Kommunikations-Instanz ignoriert: ' + c.instance);
                 return ok;
             });
@@ -400,71 +1140,514 @@ class CptAdapter extends utils.Adapter {
             return { ok: 0, failed: 0, note: 'no_channels' };
         }
 
+        // a silent messenger instance must not hold up the poll: deliveries run detached unless the caller needs the result
+        const run = this.deliveryChain.then(() => this.deliverToChannels(channels, text, ctx));
+        this.deliveryChain = run.catch((e) => this.log.warn(`Versand fehlgeschlagen: ${e.message}`));
+        if (ctx.wait) return run;
+        return { ok: 0, failed: 0, queued: channels.length, note: 'queued' };
+    }
+
+    async deliverToChannels(channels, text, ctx) {
         let ok = 0;
         let failed = 0;
 
         for (const ch of channels) {
-            const inst = ch.instance;
-            const u = ch.user;
-            const lbl = ch.label;
-
-            const isTelegram = inst.startsWith('telegram.');
-            const isWhatsAppCmb = inst.startsWith('whatsapp-cmb.');
-            const isOpenWa = inst.startsWith('open-wa.');
-            const isPushover = inst.startsWith('pushover.');
-
-            let payload;
-            if (isTelegram) {
-                payload = { text, ...(u ? { user: u } : {}) };
-            } else if (isWhatsAppCmb) {
-                payload = {
-                    phone: u || undefined,
-                    number: u || undefined,
-                    to: u || undefined,
-                    text,
-                    message: text,
-                    title: 'ChargePoint',
-                    channelLabel: lbl || undefined,
-                };
-            } else if (isOpenWa) {
-                payload = { to: u || undefined, text };
-            } else if (isPushover) {
-                payload = { message: text, sound: '' };
+            let delivered = true;
+            for (const msg of this.buildChannelMessages(ch, text, ctx)) {
+                if (!(await this.deliverMessage(msg, { queue: msg.queue !== false }))) delivered = false;
+            }
+            if (delivered) {
+                ok++;
+                this.log.info(`Message gesendet über ${ch.instance}${ch.label ? ' (' + ch.label + ')' : ''}`);
             } else {
-                payload = { text };
+                failed++;
+            }
+        }
+
+        return { ok, failed, note: 'sent' };
+    }
+
+    buildChannelMessages(ch, text, ctx = {}) {
+        // one channel row -> list of deliveries ({ instance, label, command, payload } or webhook { url, headers, payload })
+        const inst = ch.instance;
+        const u = ch.user;
+        const lbl = ch.label;
+        const messages = [];
+
+        if (inst === 'webhook') {
+            const body = JSON.stringify(this.buildWebhookEvent(text, ctx));
+            const headers = { 'Content-Type': 'application/json', 'User-Agent': `iobroker.cpt/${VERSION}` };
+            if (ch.secret) {
+                headers['X-CPT-Signature'] = `sha256=${crypto.createHmac('sha256', ch.secret).update(body).digest('hex')}`;
             }
+            messages.push({ instance: inst, label: lbl, url: ch.url, headers, payload: body });
+            return messages;
+        }
 
+        const isTelegram = inst.startsWith('telegram.');
+        const isWhatsAppCmb = inst.startsWith('whatsapp-cmb.');
+        const isOpenWa = inst.startsWith('open-wa.');
+        const isPushover = inst.startsWith('pushover.');
+        const isEmail = inst.startsWith('email.');
+        const isSignalCmb = inst.startsWith('signal-cmb.');
+        const isDiscord = inst.startsWith('discord.');
+
+        let command = 'send';
+        let payload;
+        if (isTelegram) {
+            payload = { text, ...(u ? { user: u } : {}) };
+            if (ctx.richTelegram && this.telegramRich) {
+                const keyboard = this.buildTelegramKeyboard(ctx);
+                if (keyboard.length) payload.reply_markup = { inline_keyboard: keyboard };
+            }
+            if (ctx.richTelegram && this.telegramLocation && Number.isFinite(ctx.lat) && Number.isFinite(ctx.lon)) {
+                // the pin is a separate message right before the text; it is not worth a retry
+                messages.push({
+                    instance: inst,
+                    label: lbl,
+                    command,
+                    queue: false,
+                    payload: {
+                        ...(u ? { user: u } : {}),
+                        venue: { latitude: ctx.lat, longitude: ctx.lon, title: ctx.station || '', address: ctx.address || ctx.city || '' },
+                    },
+                });
+            }
+        } else if (isWhatsAppCmb) {
+            payload = {
+                phone: u || undefined,
+                number: u || undefined,
+                to: u || undefined,
+                text,
+                message: text,
+                title: 'ChargePoint',
+                channelLabel: lbl || undefined,
+            };
+        } else if (isOpenWa) {
+            payload = { to: u || undefined, text };
+        } else if (isPushover) {
+            payload = { message: text, sound: '' };
+        } else if (isEmail) {
+            const firstLine = String(text).split('\n')[0];
+            payload = { to: u || undefined, subject: `ChargePoint: ${ctx.station || firstLine}`, text };
+        } else if (isSignalCmb) {
+            payload = { phone: u || undefined, text };
+        } else if (isDiscord) {
+            // recipient: "<serverId>/<channelId>", a numeric user ID or a user tag
+            command = 'sendMessage';
+            const mServer = u.match(/^(\d+)\/(\d+)$/);
+            if (mServer) payload = { serverId: mServer[1], channelId: mServer[2], content: text };
+            else if (/^\d+$/.test(u)) payload = { userId: u, content: text };
+            else payload = { userTag: u || undefined, content: text };
+        } else {
+            payload = { text };
+        }
+
+        if (!isDiscord && !isEmail) {
             if (ctx.city && payload.city === undefined) payload.city = ctx.city;
             if (ctx.station && payload.station === undefined) payload.station = ctx.station;
             if (ctx.status && payload.status === undefined) payload.status = ctx.status;
             if (ctx.freePorts !== undefined && payload.freePorts === undefined) payload.freePorts = ctx.freePorts;
             if (ctx.portCount !== undefined && payload.portCount === undefined) payload.portCount = ctx.portCount;
+        }
 
-            Object.keys(payload).forEach((k) => payload[k] === undefined && delete payload[k]);
+        Object.keys(payload).forEach((k) => payload[k] === undefined && delete payload[k]);
+        messages.push({ instance: inst, label: lbl, command, payload });
+        return messages;
+    }
 
+    buildWebhookEvent(text, ctx = {}) {
+        const num = (v) => (v === undefined || v === null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+        return {
+            event: ctx.event || 'message',
+            adapter: this.namespace,
+            ts: new Date().toISOString(),
+            text,
+            station: ctx.station || null,
+            stationId: ctx.stationPrefixRel || null,
+            city: ctx.city || null,
+            address: ctx.address || null,
+            freePorts: num(ctx.freePorts),
+            portCount: num(ctx.portCount),
+            distanceM: num(ctx.distanceM),
+            soc: num(ctx.soc),
+            rangeKm: num(ctx.rangeKm),
+            lastReachable: !!ctx.lastReachable,
+            lat: num(ctx.lat),
+            lon: num(ctx.lon),
+            mapsUrl: ctx.mapsUrl || null,
+            lastUpdate: ctx.lastUpdate || null,
+            isTest: !!ctx.isTest,
+        };
+    }
+
+    // ---------- Delivery / outbox ----------
+
+    async isInstanceAlive(instance) {
+        const st = await this.getForeignStateAsync(`system.adapter.${instance}.alive`).catch(() => null);
+        return st?.val === true;
+    }
+
+    sendToWithTimeout(instance, command, payload, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            let done = false;
+            const timer = setTimeout(() => {
+                if (done) return;
+                done = true;
+                const err = new Error(`keine Antwort von ${instance} nach ${Math.round(timeoutMs / 1000)}s`);
+                err.timeout = true;
+                reject(err);
+            }, timeoutMs);
             try {
-                this.sendTo(inst, 'send', payload);
-                ok++;
-                this.log.info(`Message gesendet über ${inst}${lbl ? ' (' + lbl + ')' : ''}`);
+                this.sendTo(instance, command, payload, (res) => {
+                    if (done) return;
+                    done = true;
+                    clearTimeout(timer);
+                    resolve(res);
+                });
             } catch (e) {
-                failed++;
-                this.log.warn(`sendTo fehlgeschlagen (${inst}): ${e.message}`);
+                done = true;
+                clearTimeout(timer);
+                reject(e);
             }
+        });
+    }
+
+    async trySendTo(instance, payload, command = 'send') {
+        if (!(await this.isInstanceAlive(instance))) return { ok: false, error: `Instanz ${instance} läuft nicht` };
+        try {
+            const res = await this.sendToWithTimeout(instance, command, payload, this.sendTimeoutMs);
+            // telegram answers with the number of delivered messages, others with { error } on failure
+            if (res && typeof res === 'object' && res.error) return { ok: false, error: String(res.error?.message || res.error) };
+            if (res === 0) return { ok: false, error: 'kein Empfänger erreicht' };
+            return { ok: true };
+        } catch (e) {
+            // no answer is not a failure: the message may be out already, a retry could send it twice
+            return { ok: false, unconfirmed: !!e.timeout, error: e.message };
         }
+    }
 
-        return { ok, failed, note: 'sent' };
+    async tryPostWebhook(url, body, headers) {
+        try {
+            const resp = await axios.post(url, body, { headers, timeout: this.sendTimeoutMs, validateStatus: () => true });
+            if (resp.status < 200 || resp.status >= 300) return { ok: false, error: `HTTP ${resp.status}` };
+            return { ok: true };
+        } catch (e) {
+            return { ok: false, error: e.message };
+        }
+    }
+
+    tryDeliver(msg) {
+        return msg.instance === 'webhook'
+            ? this.tryPostWebhook(msg.url, msg.payload, msg.headers)
+            : this.trySendTo(msg.instance, msg.payload, msg.command);
+    }
+
+    async waitForDeliveries(timeoutMs = 0) {
+        return timeoutMs > 0 ? waitAtMost(this.deliveryChain, timeoutMs) : this.deliveryChain;
+    }
+
+    async deliverMessage(msg, { queue = true } = {}) {
+        const res = await this.tryDeliver(msg);
+        await this.updateChannelDeliveryStates(msg.label || msg.instance, res);
+        if (res.ok) return true;
+        if (res.unconfirmed) {
+            this.log.warn(`Zustellung unbestätigt (${msg.instance}): ${res.error}`);
+            this.recordEvent('deliveryUnconfirmed', { channel: msg.label || msg.instance, instance: msg.instance, error: res.error });
+            return true;
+        }
+
+        this.log.warn(`Zustellung fehlgeschlagen (${msg.instance === 'webhook' ? msg.url : msg.instance}): ${res.error}`);
+        this.recordEvent('deliveryFailed', { channel: msg.label || msg.instance, instance: msg.instance, error: res.error });
+        if (queue && this.sendRetryMax > 0) this.enqueueOutbox(msg, res.error);
+        return false;
+    }
+
+    async updateChannelDeliveryStates(label, res) {
+        const base = `channels.${this.makeSafeName(label) || 'unbenannt'}`;
+        if (!this.channelObjectsCreated.has(base)) {
+            await this.setObjectNotExistsAsync('channels', { type: 'channel', common: { name: 'Kommunikationskanäle' }, native: {} });
+            await this.setObjectNotExistsAsync(base, { type: 'channel', common: { name: String(label) }, native: {} });
+            const defs = [
+                ['lastSuccess', { name: 'Letzte erfolgreiche Zustellung', type: 'string', role: 'date', read: true, write: false }],
+                ['lastError', { name: 'Letzter Fehler', type: 'string', role: 'text', read: true, write: false }],
+                ['failedCount', { name: 'Fehlgeschlagene Zustellungen seit letztem Erfolg', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+                ['lastUnconfirmed', { name: 'Letzte unbestätigte Zustellung', type: 'string', role: 'text', read: true, write: false }],
+            ];
+            for (const [id, common] of defs) {
+                await this.setObjectNotExistsAsync(`${base}.${id}`, { type: 'state', common, native: {} });
+            }
+            this.channelObjectsCreated.add(base);
+        }
+
+        if (res.ok) {
+            await this.setStateAsync(`${base}.lastSuccess`, { val: new Date().toISOString(), ack: true });
+            await this.updateStateIfChanged(`${base}.failedCount`, 0);
+        } else if (res.unconfirmed) {
+            // sent but not acknowledged: neither a success nor a failure, so the failure counter stays as it is
+            await this.setStateAsync(`${base}.lastUnconfirmed`, { val: `${new Date().toISOString()} ${res.error}`, ack: true });
+        } else {
+            const cur = await this.getStateAsync(`${base}.failedCount`).catch(() => null);
+            await this.setStateAsync(`${base}.lastError`, { val: `${new Date().toISOString()} ${res.error}`, ack: true });
+            await this.setStateAsync(`${base}.failedCount`, { val: (Number(cur?.val) || 0) + 1, ack: true });
+        }
+    }
+
+    enqueueOutbox({ instance, label, command, url, headers, payload }, error) {
+        const now = Date.now();
+        this.outbox.push({ instance, label, command, url, headers, payload, createdTs: now, attempts: 1, nextTryTs: now + this.sendRetryBaseMs, lastError: error });
+        // oldest messages are dropped first when the queue is full
+        if (this.outbox.length > this.outboxMaxEntries) this.outbox.splice(0, this.outbox.length - this.outboxMaxEntries);
+        this.saveOutbox().catch(() => {});
+        this.scheduleOutbox();
+    }
+
+    scheduleOutbox() {
+        if (this.outboxTimer) clearTimeout(this.outboxTimer);
+        this.outboxTimer = null;
+        if (!this.outbox.length) return;
+        const next = Math.min(...this.outbox.map((e) => e.nextTryTs));
+        this.outboxTimer = setTimeout(() => {
+            this.outboxTimer = null;
+            this.processOutbox().catch((e) => this.log.warn(`Nachrichten-Warteschlange fehlgeschlagen: ${e.message}`));
+        }, Math.max(1000, next - Date.now()));
+    }
+
+    async processOutbox() {
+        if (this.outboxRunning) return;
+        this.outboxRunning = true;
+        try {
+            const now = Date.now();
+            const keep = [];
+            for (const entry of this.outbox) {
+                if (entry.nextTryTs > now) {
+                    keep.push(entry);
+                    continue;
+                }
+                const res = await this.tryDeliver(entry);
+                await this.updateChannelDeliveryStates(entry.label || entry.instance, res);
+                if (res.ok) {
+                    this.log.info(`Nachricht nach ${entry.attempts} Fehlversuch(en) zugestellt über ${entry.instance}`);
+                    continue;
+                }
+                if (res.unconfirmed) {
+                    this.log.warn(`Zustellung unbestätigt (${entry.instance}), Nachricht wird nicht erneut gesendet: ${res.error}`);
+                    this.recordEvent('deliveryUnconfirmed', { channel: entry.label || entry.instance, instance: entry.instance, error: res.error });
+                    continue;
+                }
+                entry.attempts++;
+                entry.lastError = res.error;
+                if (entry.attempts > this.sendRetryMax || now - entry.createdTs > this.outboxMaxAgeMs) {
+                    this.log.warn(`Nachricht an ${entry.instance} verworfen nach ${entry.attempts} Versuchen: ${res.error}`);
+                    continue;
+                }
+                entry.nextTryTs = now + Math.min(this.sendRetryBaseMs * Math.pow(2, entry.attempts - 1), this.sendRetryMaxDelayMs);
+                keep.push(entry);
+            }
+            this.outbox = keep;
+            await this.saveOutbox();
+        } finally {
+            this.outboxRunning = false;
+            this.scheduleOutbox();
+        }
+    }
+
+    async loadOutbox() {
+        try {
+            const res = await this.readFileAsync(this.namespace, this.outboxFile);
+            const raw = res && res.file !== undefined ? res.file : res;
+            const data = raw ? JSON.parse(raw.toString()) : null;
+            this.outbox = Array.isArray(data?.messages) ? data.messages : [];
+        } catch (e) {
+            // file does not exist on first start
+            this.log.debug(`Nachrichten-Warteschlange nicht geladen: ${e.message}`);
+            this.outbox = [];
+        }
+        if (this.outbox.length) this.log.info(`${this.outbox.length} nicht zugestellte Nachricht(en) aus der Warteschlange geladen`);
+    }
+
+    async saveOutbox() {
+        try {
+            await this.writeFileAsync(this.namespace, this.outboxFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                messages: this.outbox,
+            }));
+        } catch (e) {
+            this.log.warn(`Konnte Nachrichten-Warteschlange nicht schreiben: ${e.message}`);
+        }
+    }
+
+    // ---------- Telegram buttons ----------
+
+    getTelegramCallbackData(action, stationPrefixRel) {
+        // Telegram limits callback_data to 64 bytes, so stations are referenced by a short hash
+        const parts = [this.namespace, action];
+        if (stationPrefixRel) parts.push(crypto.createHash('sha1').update(stationPrefixRel).digest('hex').slice(0, 10));
+        return parts.join('|');
+    }
+
+    resolveStationByCallbackHash(hash) {
+        return this.stationPrefixes.find((p) => this.getTelegramCallbackData('mute', p).endsWith(`|${hash}`)) || null;
+    }
+
+    buildTelegramKeyboard(ctx) {
+        const t = this.messageTemplates;
+        const keyboard = [];
+        if (Number.isFinite(ctx.lat) && Number.isFinite(ctx.lon)) {
+            keyboard.push([{ text: t.btnNavigate, url: `https://www.google.com/maps/dir/?api=1&destination=${ctx.lat},${ctx.lon}` }]);
+        }
+        const actions = [];
+        if (ctx.queueClaim && ctx.stationPrefixRel) actions.push({ text: t.btnClaim, callback_data: this.getTelegramCallbackData('claim', ctx.stationPrefixRel) });
+        if (ctx.stationPrefixRel) actions.push({ text: t.btnMute, callback_data: this.getTelegramCallbackData('mute', ctx.stationPrefixRel) });
+        actions.push({ text: t.btnRefresh, callback_data: this.getTelegramCallbackData('refresh') });
+        keyboard.push(actions);
+        return keyboard;
+    }
+
+    async handleTelegramCallback(instance, raw) {
+        // telegram writes "[<user>]<callback_data>" into communicate.request
+        const m = String(raw ?? '').match(/^\[(.*?)\](.*)$/s);
+        if (!m) return;
+        const user = m[1];
+        const [ns, action, hash] = m[2].split('|');
+        if (ns !== this.namespace) return;
+
+        let answer = '';
+        if (action === 'refresh') {
+            const result = await this.runManualRefresh();
+            answer = this.formatMessage('answerRefresh', { result });
+        } else if (action === 'claim') {
+            const prefix = hash ? this.resolveStationByCallbackHash(hash) : null;
+            const turn = prefix ? this.queueByPrefix[prefix]?.turn : null;
+            // only the recipient of the turn may claim it (stale buttons, group chats)
+            const label = this.resolveChannelLabelByUser(instance, user);
+            const station = prefix ? (this.stationInfoByPrefix[prefix]?.name || prefix.split('.').pop()) : '';
+            if (!turn) {
+                answer = this.formatMessage('answerUnknown');
+            } else if (label !== turn.label) {
+                answer = this.formatMessage('answerNotYourTurn', { station });
+            } else if (await this.queueClaim(prefix, label)) {
+                answer = this.formatMessage('answerClaimed', { station });
+            } else {
+                answer = this.formatMessage('answerUnknown');
+            }
+        } else if (action === 'mute') {
+            const prefix = hash ? this.resolveStationByCallbackHash(hash) : null;
+            if (prefix) {
+                await this.muteStation(prefix, 60);
+                answer = this.formatMessage('answerMuted', { station: this.stationInfoByPrefix[prefix]?.name || prefix.split('.').pop() });
+            } else {
+                answer = this.formatMessage('answerUnknown');
+            }
+        } else {
+            return;
+        }
+
+        this.log.info(`Telegram-Button (${instance}${user ? ', ' + user : ''}): ${action} -> ${answer}`);
+        try {
+            this.sendTo(instance, 'send', { ...(user ? { user } : {}), answerCallbackQuery: { text: answer, showAlert: false } });
+        } catch (e) {
+            this.log.debug(`answerCallbackQuery fehlgeschlagen (${instance}): ${e.message}`);
+        }
+    }
+
+    async muteStation(stationPrefixRel, minutes) {
+        // a second mute only extends the time, prev stays the value from before the first one
+        const running = this.stationMutedUntil[stationPrefixRel];
+        let prev = running ? this.getMutePrevValue(running) : null;
+        if (prev === null) {
+            const cur = await this.getStateAsync(`${stationPrefixRel}.notifyOnAvailable`).catch(() => null);
+            prev = cur ? cur.val === true : true;
+        }
+        this.stationMutedUntil[stationPrefixRel] = { until: Date.now() + minutes * 60 * 1000, prev };
+        await this.setStateAsync(`${stationPrefixRel}.notifyOnAvailable`, { val: false, ack: true });
+        await this.saveNotifyState();
+        this.log.info(`Benachrichtigung für ${stationPrefixRel} für ${minutes} min stummgeschaltet`);
+    }
+
+    getMutePrevValue(mute) {
+        return mute && typeof mute === 'object' && typeof mute.prev === 'boolean' ? mute.prev : null;
+    }
+
+    async checkStationMutes() {
+        const now = Date.now();
+        let changed = false;
+        for (const [prefix, mute] of Object.entries(this.stationMutedUntil)) {
+            // older notify-state files hold only the end timestamp
+            const until = typeof mute === 'number' ? mute : Number(mute?.until);
+            if (until > now) continue;
+            delete this.stationMutedUntil[prefix];
+            changed = true;
+            await this.setStateAsync(`${prefix}.notifyOnAvailable`, { val: this.getMutePrevValue(mute) ?? true, ack: true });
+            this.log.info(`Stummschaltung für ${prefix} beendet`);
+        }
+        if (changed) await this.saveNotifyState();
+    }
+
+    async loadMessageTemplates() {
+        let lang = '';
+        try {
+            const sysConfig = await this.getForeignObjectAsync('system.config');
+            lang = String(sysConfig?.common?.language || '').toLowerCase();
+        } catch (e) {
+            this.log.debug(`Systemsprache nicht lesbar: ${e.message}`);
+        }
+        // everything except German falls back to English; without system config we stay German
+        this.language = !lang || lang === 'de' ? 'de' : 'en';
+
+        const templates = { ...DEFAULT_MESSAGE_TEMPLATES[this.language] };
+        for (const type of MESSAGE_TEMPLATE_TYPES) {
+            const key = `msgTpl${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+            const custom = this.config && typeof this.config[key] === 'string' ? this.config[key].trim() : '';
+            if (custom) templates[type] = custom;
+        }
+        this.messageTemplates = templates;
+    }
+
+    formatMessage(type, vars = {}) {
+        const text = renderTemplate(this.messageTemplates[type] ?? DEFAULT_MESSAGE_TEMPLATES.de[type], vars);
+        return vars.isTest ? `${this.messageTemplates.testPrefix}${text}` : text;
+    }
+
+    async getStationMessageVars(stationPrefixRel, base = {}, vehicleId = '') {
+        // placeholders that are not part of the notify context are read from the station states
+        const car = this.getVehicleContext(vehicleId) || {};
+        const [distSt, etaSt, latSt, lonSt, updSt] = await Promise.all([
+            this.getStateAsync(this.getDistanceStateId(stationPrefixRel, vehicleId)).catch(() => null),
+            this.getStateAsync(this.getDistanceStateId(stationPrefixRel, vehicleId, 'etaMin')).catch(() => null),
+            this.getStateAsync(`${stationPrefixRel}.gps.lat`).catch(() => null),
+            this.getStateAsync(`${stationPrefixRel}.gps.lon`).catch(() => null),
+            this.getStateAsync(`${stationPrefixRel}.lastUpdate`).catch(() => null),
+        ]);
+        const lat = Number(latSt?.val);
+        const lon = Number(lonSt?.val);
+        const hasGps = latSt?.val !== undefined && latSt?.val !== null && Number.isFinite(lat) && Number.isFinite(lon);
+        return {
+            stationPrefixRel,
+            lat: hasGps ? lat : undefined,
+            lon: hasGps ? lon : undefined,
+            distanceM: distSt?.val !== undefined && distSt?.val !== null ? Math.round(Number(distSt.val)) : undefined,
+            etaMin: etaSt?.val !== undefined && etaSt?.val !== null ? Number(etaSt.val) : undefined,
+            soc: car.soc ?? undefined,
+            rangeKm: car.rangeKm ?? undefined,
+            vehicle: car.name || undefined,
+            mapsUrl: hasGps ? `https://www.google.com/maps?q=${lat},${lon}` : '',
+            lastUpdate: updSt?.val ? String(updSt.val) : undefined,
+            ...base,
+        };
+    }
+
+    buildAvailableText(ctx) {
+        const text = this.formatMessage('available', ctx);
+        return ctx.lastReachable ? `${text}\n${this.formatMessage('lastReachable', { ...ctx, isTest: false })}` : text;
     }
 
     async sendAvailableNotification(ctx) {
-        const prefix = ctx.isTest ? 'TEST: ' : '';
-        const details = ctx.freePorts !== undefined && ctx.portCount !== undefined ? ` (${ctx.freePorts}/${ctx.portCount})` : '';
-        const text = `${prefix}Ladestation ${ctx.station} in ${ctx.city} ist nun frei${details}`;
-        return this.sendMessageToChannels(text, ctx);
+        return this.sendMessageToChannels(this.buildAvailableText(ctx), { ...ctx, event: ctx.isTest ? 'test' : 'available', richTelegram: true });
     }
 
-    async notifySubscribers({ stationPrefixRel, city, stationName, freePorts, portCount, isTest = false }) {
-        const subs = this.getSubscriptions();
-        const matches = subs.filter((s) => {
+    getMatchingSubscriptions(stationPrefixRel, stationName) {
+        return this.getSubscriptions().filter((s) => {
             if (!s || !isTrue(s.enabled)) return false;
             const st = String(s.station || '').trim();
             if (!st) return false;
@@ -472,23 +1655,255 @@ class CptAdapter extends utils.Adapter {
             if (st.startsWith('name:')) return String(stationName || '').toLowerCase() === st.replace(/^name:/, '').trim().toLowerCase();
             return st === String(stationPrefixRel);
         });
+    }
+
+    subscriptionMatchesPorts(sub, ports) {
+        // plug types + minimum power of the subscription; at least one of the freed ports has to fit
+        const plugs = parsePlugTypes(sub?.plugTypes);
+        const minKw = Number(sub?.minKw) > 0 ? Number(sub.minKw) : 0;
+        if (!plugs.length && !minKw) return true;
+        // without port details (e.g. before the first poll) nothing can be filtered
+        if (!Array.isArray(ports)) return true;
+        return ports.some((p) => (!plugs.length || plugs.includes(p.plug)) && (!minKw || (Number.isFinite(p.kw) && p.kw >= minKw)));
+    }
+
+    // ---------- Notify cooldown ----------
+
+    getSubscriptionCooldownMin(sub) {
+        // empty column -> global setting
+        const raw = sub ? sub.cooldownMin : undefined;
+        if (raw !== undefined && raw !== null && raw !== '' && Number.isFinite(Number(raw))) return Math.max(0, Number(raw));
+        return Number.isFinite(Number(this.notifyCooldownMin)) ? Math.max(0, Number(this.notifyCooldownMin)) : 0;
+    }
+
+    getCooldownKey(stationPrefixRel, recipientLabel) {
+        return `${stationPrefixRel}|${String(recipientLabel || '').toLowerCase()}`;
+    }
+
+    getCooldownRemainingMs(stationPrefixRel, sub) {
+        const last = this.notifyLastSentByKey[this.getCooldownKey(stationPrefixRel, sub.recipient)] || 0;
+        if (!last) return 0;
+        return Math.max(0, last + this.getSubscriptionCooldownMin(sub) * 60000 - Date.now());
+    }
+
+    async loadNotifyState() {
+        try {
+            const res = await this.readFileAsync(this.namespace, this.notifyStateFile);
+            const raw = res && res.file !== undefined ? res.file : res;
+            const data = raw ? JSON.parse(raw.toString()) : null;
+            this.notifyLastSentByKey = (data?.lastSent && typeof data.lastSent === 'object') ? data.lastSent : {};
+            this.digestQueue = (data?.digest && typeof data.digest === 'object') ? data.digest : {};
+            this.stationMutedUntil = (data?.muted && typeof data.muted === 'object') ? data.muted : {};
+            this.stationHealthByPrefix = (data?.health && typeof data.health === 'object') ? data.health : {};
+            this.occupiedAlertByKey = (data?.occupied && typeof data.occupied === 'object') ? data.occupied : {};
+            this.queueByPrefix = (data?.queues && typeof data.queues === 'object') ? data.queues : {};
+        } catch (e) {
+            // file does not exist on first start
+            this.log.debug(`Notify-Status nicht geladen: ${e.message}`);
+            this.notifyLastSentByKey = {};
+            this.digestQueue = {};
+            this.stationMutedUntil = {};
+            this.stationHealthByPrefix = {};
+            this.occupiedAlertByKey = {};
+            this.queueByPrefix = {};
+        }
+    }
+
+    async saveNotifyState() {
+        try {
+            await this.writeFileAsync(this.namespace, this.notifyStateFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                lastSent: this.notifyLastSentByKey,
+                digest: this.digestQueue,
+                muted: this.stationMutedUntil,
+                health: this.stationHealthByPrefix,
+                occupied: this.occupiedAlertByKey,
+                queues: this.queueByPrefix,
+            }));
+        } catch (e) {
+            this.log.warn(`Konnte Notify-Status nicht schreiben: ${e.message}`);
+        }
+    }
+
+    async updateNotifyNextAllowed(stationPrefixRel, stationName) {
+        // earliest point in time at which at least one recipient of this station may get a message again
+        let next = null;
+        for (const s of this.getMatchingSubscriptions(stationPrefixRel, stationName)) {
+            if (!String(s.recipient || '').trim()) continue;
+            const t = Date.now() + this.getCooldownRemainingMs(stationPrefixRel, s);
+            if (next === null || t < next) next = t;
+        }
+        const hasSent = Object.keys(this.notifyLastSentByKey).some((k) => k.startsWith(`${stationPrefixRel}|`));
+        await this.updateStateIfChanged(`${stationPrefixRel}.notify.nextAllowedAt`, next !== null && hasSent ? new Date(next).toISOString() : '');
+    }
+
+    // ---------- Event log ----------
+
+    recordEvent(type, data = {}) {
+        this.events.push({ ts: new Date().toISOString(), type, ...data });
+        if (this.events.length > this.eventLogSize) this.events.splice(0, this.events.length - this.eventLogSize);
+
+        // state + file are written debounced, a poll can produce many events at once
+        if (this.eventsTimer) return;
+        this.eventsTimer = setTimeout(() => {
+            this.eventsTimer = null;
+            this.flushEvents().catch((e) => this.log.debug(`Ereignisprotokoll nicht geschrieben: ${e.message}`));
+        }, 2000);
+    }
+
+    async flushEvents() {
+        if (this.eventsTimer) {
+            clearTimeout(this.eventsTimer);
+            this.eventsTimer = null;
+        }
+        const json = JSON.stringify(this.events);
+        await this.setStateAsync('tools.eventsJson', { val: json, ack: true });
+        try {
+            await this.writeFileAsync(this.namespace, this.eventsFile, json);
+        } catch (e) {
+            this.log.warn(`Konnte Ereignisprotokoll nicht schreiben: ${e.message}`);
+        }
+    }
+
+    async loadEvents() {
+        try {
+            const res = await this.readFileAsync(this.namespace, this.eventsFile);
+            const raw = res && res.file !== undefined ? res.file : res;
+            const data = raw ? JSON.parse(raw.toString()) : [];
+            this.events = Array.isArray(data) ? data.slice(-this.eventLogSize) : [];
+        } catch (e) {
+            // file does not exist on first start
+            this.log.debug(`Ereignisprotokoll nicht geladen: ${e.message}`);
+            this.events = [];
+        }
+        await this.setStateAsync('tools.eventsJson', { val: JSON.stringify(this.events), ack: true });
+    }
+
+    // ---------- Schedules / quiet hours ----------
+
+    isSubscriptionActive(sub, date = new Date()) {
+        const days = parseWeekdays(sub.days);
+        const from = parseTimeOfDay(sub.timeFrom);
+        const to = parseTimeOfDay(sub.timeTo);
+        const { weekday, minutes } = getZonedParts(date, String(sub.timezone || '').trim());
+        if (days && !days.has(weekday)) return false;
+        return isInTimeWindow(minutes, from, to);
+    }
+
+    isQuietTime(date = new Date()) {
+        if (!this.quietHoursEnabled || this.quietFrom === null || this.quietTo === null) return false;
+        const { minutes } = getZonedParts(date, '');
+        return isInTimeWindow(minutes, this.quietFrom, this.quietTo);
+    }
+
+    queueDigestMessage(recipientLabel, stationPrefixRel, text) {
+        const key = String(recipientLabel);
+        if (!this.digestQueue[key]) this.digestQueue[key] = {};
+        // keep only the latest message per station
+        this.digestQueue[key][stationPrefixRel] = { ts: Date.now(), text };
+    }
+
+    async flushDigest() {
+        if (this.isQuietTime()) return;
+        const recipients = Object.keys(this.digestQueue);
+        if (!recipients.length) return;
+
+        for (const recipientLabel of recipients) {
+            const entries = Object.values(this.digestQueue[recipientLabel] || {}).sort((a, b) => a.ts - b.ts);
+            delete this.digestQueue[recipientLabel];
+            if (!entries.length) continue;
+
+            const fmt = (ts) => new Date(ts).toLocaleTimeString(this.language === 'de' ? 'de-DE' : 'en-GB', { hour: '2-digit', minute: '2-digit' });
+            const lines = entries.map((e) => `• ${fmt(e.ts)} ${e.text}`);
+            const text = `${this.formatMessage('digestHeader', { count: entries.length })}\n${lines.join('\n')}`;
+            await this.sendMessageToChannels(text, { onlyLabel: recipientLabel, event: 'digest' });
+            this.log.info(`Digest an ${recipientLabel} gesendet (${entries.length} Meldung(en))`);
+        }
+        await this.saveNotifyState();
+    }
+
+    async notifySubscribers({ stationPrefixRel, city, stationName, freePorts, portCount, ports, vehicleIds, isTest = false }) {
+        const matches = this.getMatchingSubscriptions(stationPrefixRel, stationName);
 
         // If nothing matches, do nothing (subscriptions define recipients)
-        if (!matches.length) return { ok: 0, failed: 0, note: 'no_subscriptions' };
+        if (!matches.length) return { ok: 0, failed: 0, skipped: 0, note: 'no_subscriptions' };
+
+        // distance, SoC and range in the text belong to the car of the subscription
+        const varsByVehicle = {};
+        const getVars = async (vehicleId) => {
+            if (!varsByVehicle[vehicleId]) {
+                const vars = await this.getStationMessageVars(stationPrefixRel, { station: stationName, city, freePorts, portCount }, vehicleId);
+                vars.lastReachable = await this.isLastReachableStation(stationPrefixRel, vehicleId);
+                varsByVehicle[vehicleId] = vars;
+            }
+            return varsByVehicle[vehicleId];
+        };
 
+        let ok = 0;
+        let skipped = 0;
+        let deferred = 0;
+        const sentTo = [];
+        const sentVehicles = new Set();
         for (const s of matches) {
             const recipientLabel = (s.recipient || '').toString().trim();
             if (!recipientLabel) continue;
-            await this.sendAvailableNotification({
-                isTest,
-                station: stationName,
-                city,
-                freePorts,
-                portCount,
-                onlyLabel: recipientLabel,
-            });
+            const vehicleId = this.getSubscriptionVehicleId(s);
+            // vehicleIds: cars whose filters passed (undefined = all, e.g. test messages)
+            if (Array.isArray(vehicleIds) && !vehicleIds.includes(vehicleId)) continue;
+            const vars = await getVars(vehicleId);
+
+            // test messages bypass schedule, cooldown and quiet hours and do not consume the cooldown
+            if (!isTest) {
+                if (!this.subscriptionMatchesPorts(s, ports)) {
+                    skipped++;
+                    this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'plug' });
+                    this.log.debug(`Notify übersprungen (Stecker/Leistung): ${stationName} -> ${recipientLabel}`);
+                    continue;
+                }
+
+                if (!this.isSubscriptionActive(s)) {
+                    skipped++;
+                    this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'schedule' });
+                    this.log.debug(`Notify übersprungen (Zeitplan): ${stationName} -> ${recipientLabel}`);
+                    continue;
+                }
+
+                const remainingMs = this.getCooldownRemainingMs(stationPrefixRel, s);
+                if (remainingMs > 0) {
+                    skipped++;
+                    this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'cooldown', remainingMin: Math.ceil(remainingMs / 60000) });
+                    this.log.debug(`Notify übersprungen (Cooldown): ${stationName} -> ${recipientLabel}, noch ${Math.ceil(remainingMs / 60000)} min`);
+                    continue;
+                }
+
+                if (this.isQuietTime()) {
+                    skipped++;
+                    if (this.quietMode === 'digest') {
+                        this.queueDigestMessage(recipientLabel, stationPrefixRel, this.buildAvailableText(vars));
+                        deferred++;
+                        this.recordEvent('notifyDeferred', { station: stationPrefixRel, recipient: recipientLabel, reason: 'quietHours' });
+                        this.log.debug(`Notify verschoben (Ruhezeit): ${stationName} -> ${recipientLabel}`);
+                    } else {
+                        this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'quietHours' });
+                        this.log.debug(`Notify übersprungen (Ruhezeit): ${stationName} -> ${recipientLabel}`);
+                    }
+                    continue;
+                }
+            }
+
+            await this.sendAvailableNotification({ ...vars, isTest, onlyLabel: recipientLabel });
+            ok++;
+            sentTo.push(recipientLabel);
+            sentVehicles.add(vehicleId);
+            this.recordEvent('notifySent', { station: stationPrefixRel, recipient: recipientLabel, freePorts, portCount, ...(vehicleId ? { vehicle: vehicleId } : {}), ...(isTest ? { isTest: true } : {}) });
+            if (!isTest) this.notifyLastSentByKey[this.getCooldownKey(stationPrefixRel, recipientLabel)] = Date.now();
+        }
+
+        if (!isTest && (ok > 0 || deferred > 0)) {
+            await this.saveNotifyState();
+            await this.updateNotifyNextAllowed(stationPrefixRel, stationName);
         }
-        return { ok: matches.length, failed: 0, note: 'subscriptions' };
+        return { ok, failed: 0, skipped, deferred, sentTo, sentVehicles: [...sentVehicles], note: 'subscriptions' };
     }
 
     async sendTestNotifyForPrefix(stationPrefixRel) {
@@ -582,7 +1997,19 @@ class CptAdapter extends utils.Adapter {
 
         await this.setObjectNotExistsAsync('tools.refreshRunning', {
             type: 'state',
-            common: { name: 'Refresh läuft', type: 'boolean', role: 'indicator.working', read: true, write: false, def: false },
+            common: { name: 'Refresh läuft', type: 'boolean', role: 'indicator.working', read: true, write: false, def: false },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync('tools.lastPollDurationMs', {
+            type: 'state',
+            common: { name: 'Dauer letzter Poll', type: 'number', role: 'value.interval', unit: 'ms', read: true, write: false },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync('tools.eventsJson', {
+            type: 'state',
+            common: { name: 'Ereignisprotokoll (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' },
             native: {},
         });
 
@@ -592,12 +2019,23 @@ class CptAdapter extends utils.Adapter {
             native: {},
         });
 
+        await this.setObjectNotExistsAsync('tools.routing', { type: 'channel', common: { name: 'Routing' }, native: {} });
+        const mkRouting = (key, common) => this.setObjectNotExistsAsync(`tools.routing.${key}`, { type: 'state', common: { ...common, read: true, write: false }, native: {} });
+        await mkRouting('day', { name: 'Zähltag', type: 'string', role: 'text' });
+        await mkRouting('requestsToday', { name: 'Routing-Anfragen heute (Matrix: je Ziel)', type: 'number', role: 'value', def: 0 });
+        await mkRouting('matrixRequestsToday', { name: 'davon Matrix-Anfragen', type: 'number', role: 'value', def: 0 });
+        await mkRouting('dailyBudget', { name: 'Tagesbudget (0 = unbegrenzt)', type: 'number', role: 'value', def: 0 });
+        await mkRouting('budgetExceeded', { name: 'Tagesbudget erreicht', type: 'boolean', role: 'indicator', def: false });
+        await mkRouting('cacheHitsToday', { name: 'Routen-Cache Treffer heute', type: 'number', role: 'value', def: 0 });
+        await mkRouting('cacheMissesToday', { name: 'Routen-Cache Fehlzugriffe heute', type: 'number', role: 'value', def: 0 });
+        await mkRouting('cacheEntries', { name: 'Einträge im Routen-Cache', type: 'number', role: 'value', def: 0 });
+
         await this.setStateAsync('tools.export', { val: false, ack: true });
         await this.setStateAsync('tools.testNotify', { val: false, ack: true });
         await this.setStateAsync('tools.testNotifyAll', { val: false, ack: true });
         await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
         await this.setStateAsync('tools.refreshRunning', { val: false, ack: true });
-        await this.setStateAsync('tools.distanceSource', { val: this.getTomTomEnabled() ? 'tomtom' : 'airline', ack: true });
+        await this.setStateAsync('tools.distanceSource', { val: this.getRoutingProvider()?.id || 'airline', ack: true });
     }
 
     async ensureCarObjects() {
@@ -617,6 +2055,11 @@ class CptAdapter extends utils.Adapter {
             common: { name: 'Auto Ladestand (SoC)', type: 'number', role: 'value.battery', unit: '%', read: true, write: false },
             native: {},
         });
+        await this.setObjectNotExistsAsync('car.rangeKm', {
+            type: 'state',
+            common: { name: 'Auto Reichweite (bis Reserve)', type: 'number', role: 'value.distance', unit: 'km', read: true, write: false },
+            native: {},
+        });
         await this.setObjectNotExistsAsync('car.connected', {
             type: 'state',
             common: { name: 'Auto verbunden', type: 'boolean', role: 'indicator.connected', read: true, write: false },
@@ -639,16 +2082,59 @@ class CptAdapter extends utils.Adapter {
         });
     }
 
-    async ensureNearestType2Objects() {
-        await this.setObjectNotExistsAsync('nearestType2', { type: 'channel', common: { name: 'Nächste freie Typ2' }, native: {} });
+    getNearestProfiles() {
+        // built-in "Type 2 free" search (nearestType2.*) + named profiles from the config (nearest.<profile>.*)
+        const profiles = [];
+        if (isTrue(this.config.nearestType2Enabled)) {
+            profiles.push({
+                id: 'type2',
+                channel: 'nearestType2',
+                title: 'Nächste freie Typ2',
+                plugs: ['type2'],
+                minKw: 0,
+                radiusM: Number(this.config.nearestRadiusM) || 2000,
+                onlyAvailable: true,
+                notify: true,
+            });
+        }
+
+        let rows = this.config.nearestProfiles || [];
+        if (rows && !Array.isArray(rows) && typeof rows === 'object') rows = Object.values(rows);
+        if (!Array.isArray(rows)) rows = [];
+        const used = new Set();
+        for (const r of rows) {
+            if (!r || !isTrue(r.enabled)) continue;
+            const key = this.makeSafeName(r.name);
+            if (!key || used.has(key)) continue;
+            used.add(key);
+            profiles.push({
+                id: key,
+                channel: `nearest.${key}`,
+                title: String(r.name).trim(),
+                plugs: parsePlugTypes(r.plugTypes),
+                minKw: Number(r.minKw) > 0 ? Number(r.minKw) : 0,
+                radiusM: Number(r.radiusM) > 0 ? Number(r.radiusM) : (Number(this.config.nearestRadiusM) || 2000),
+                onlyAvailable: r.onlyAvailable === undefined ? true : isTrue(r.onlyAvailable),
+                notify: false,
+            });
+        }
+        return profiles;
+    }
+
+    async ensureNearestObjects(profile) {
+        if (profile.channel.startsWith('nearest.')) {
+            await this.setObjectNotExistsAsync('nearest', { type: 'channel', common: { name: 'Nächste Stationen (Profile)' }, native: {} });
+        }
+        await this.setObjectNotExistsAsync(profile.channel, { type: 'channel', common: { name: profile.title }, native: {} });
 
-        const mk = async (id, common) => this.setObjectNotExistsAsync(`nearestType2.${id}`, { type: 'state', common, native: {} });
+        const mk = async (id, common) => this.setObjectNotExistsAsync(`${profile.channel}.${id}`, { type: 'state', common, native: {} });
 
         await mk('name', { name: 'Name', type: 'string', role: 'text', read: true, write: false });
         await mk('address', { name: 'Adresse', type: 'string', role: 'text', read: true, write: false });
         await mk('distance.m', { name: 'Distanz (m)', type: 'number', role: 'value.distance', unit: 'm', read: true, write: false });
         await mk('distance.km', { name: 'Distanz (km)', type: 'number', role: 'value.distance', unit: 'km', read: true, write: false });
         await mk('distanceType', { name: 'Distanzquelle', type: 'string', role: 'text', read: true, write: false });
+        await mk('etaMin', { name: 'Fahrzeit (min)', type: 'number', role: 'value.interval', unit: 'min', read: true, write: false });
         await mk('freePorts', { name: 'Freie Ports', type: 'number', role: 'value', read: true, write: false });
         await mk('portCount', { name: 'Ports gesamt', type: 'number', role: 'value', read: true, write: false });
         await mk('lat', { name: 'Latitude', type: 'number', role: 'value.gps.latitude', read: true, write: false });
@@ -656,6 +2142,56 @@ class CptAdapter extends utils.Adapter {
         await mk('stationId', { name: 'Station ID', type: 'string', role: 'text', read: true, write: false });
         await mk('lastUpdate', { name: 'Letztes Update', type: 'string', role: 'date', read: true, write: false });
         await mk('lastError', { name: 'Letzter Fehler', type: 'string', role: 'text', read: true, write: false });
+        await mk('listJson', { name: 'Nächste Stationen (JSON)', type: 'string', role: 'json', read: true, write: false });
+        await mk('searchRadiusM', { name: 'Verwendeter Suchradius', type: 'number', role: 'value.distance', unit: 'm', read: true, write: false });
+
+        await this.setObjectNotExistsAsync(`${profile.channel}.list`, { type: 'channel', common: { name: 'Rangliste' }, native: {} });
+        for (let i = 1; i <= this.getNearestListSize(); i++) {
+            await this.setObjectNotExistsAsync(`${profile.channel}.list.${i}`, { type: 'channel', common: { name: `Platz ${i}` }, native: {} });
+            await mk(`list.${i}.name`, { name: 'Name', type: 'string', role: 'text', read: true, write: false });
+            await mk(`list.${i}.address`, { name: 'Adresse', type: 'string', role: 'text', read: true, write: false });
+            await mk(`list.${i}.distance.m`, { name: 'Distanz (m)', type: 'number', role: 'value.distance', unit: 'm', read: true, write: false });
+            await mk(`list.${i}.distanceType`, { name: 'Distanzquelle', type: 'string', role: 'text', read: true, write: false });
+            await mk(`list.${i}.etaMin`, { name: 'Fahrzeit (min)', type: 'number', role: 'value.interval', unit: 'min', read: true, write: false });
+            await mk(`list.${i}.freePorts`, { name: 'Freie Ports', type: 'number', role: 'value', read: true, write: false });
+            await mk(`list.${i}.portCount`, { name: 'Ports gesamt', type: 'number', role: 'value', read: true, write: false });
+            await mk(`list.${i}.stationId`, { name: 'Station ID', type: 'string', role: 'text', read: true, write: false });
+        }
+    }
+
+    async cleanupObsoleteNearestObjects(profiles) {
+        // removed profiles and list slots above nearestListSize would keep their last values;
+        // nearestType2 is the baseline tree and stays when its search is switched off
+        try {
+            const wanted = new Set(profiles.map((p) => p.channel));
+            const size = this.getNearestListSize();
+            const res = await this.getObjectViewAsync('system', 'channel', {
+                startkey: `${this.namespace}.nearest`,
+                endkey: `${this.namespace}.nearest\u9999`,
+            }).catch(() => null);
+            for (const row of res?.rows || []) {
+                const rel = String(row.id || '').replace(`${this.namespace}.`, '');
+                const parts = rel.split('.');
+                // nearestType2 / nearest.<profile>
+                const channel = parts[0] === 'nearest' ? parts.slice(0, 2).join('.') : parts[0];
+                if (channel !== 'nearestType2' && !/^nearest\.[^.]+$/.test(channel)) continue;
+                if (rel === channel && channel !== 'nearestType2' && !wanted.has(channel)) {
+                    this.log.info(`Removing obsolete nearest objects: ${channel}`);
+                    await this.delObjectAsync(channel, { recursive: true });
+                    continue;
+                }
+                const slot = rel.slice(channel.length).match(/^\.list\.(\d+)$/);
+                if (slot && wanted.has(channel) && Number(slot[1]) > size) {
+                    this.log.info(`Removing obsolete nearest list slot: ${rel}`);
+                    await this.delObjectAsync(rel, { recursive: true });
+                }
+            }
+            if (!profiles.some((p) => p.channel.startsWith('nearest.')) && (await this.getObjectAsync('nearest'))) {
+                await this.delObjectAsync('nearest', { recursive: true });
+            }
+        } catch (e) {
+            this.log.debug(`cleanupObsoleteNearestObjects fehlgeschlagen: ${e.message}`);
+        }
     }
 
     async initCarPosition() {
@@ -722,6 +2258,7 @@ class CptAdapter extends utils.Adapter {
             this.carSoc = soc;
             await this.setStateAsync('car.soc', { val: soc, ack: true });
             await this.setStateAsync('car.lastUpdate', { val: new Date().toISOString(), ack: true });
+            await this.updateCarRange();
         }
 
         // also refresh nearest type2 (SoC change can trigger notifications / relevance)
@@ -773,6 +2310,143 @@ class CptAdapter extends utils.Adapter {
         this.scheduleVisHtmlUpdate('carChargingChange');
     }
 
+    // ---------- Additional vehicles ----------
+
+    parseVehicles() {
+        let rows = this.config.vehicles || [];
+        if (rows && !Array.isArray(rows) && typeof rows === 'object') rows = Object.values(rows);
+        if (!Array.isArray(rows)) rows = [];
+        // empty columns fall back to the vehicle profile of the primary car
+        const num = (v, def) => (v !== undefined && v !== null && v !== '' && Number(v) >= 0 ? Number(v) : def);
+        const vehicles = {};
+        for (const r of rows) {
+            if (!r || !isTrue(r.enabled)) continue;
+            const id = this.makeSafeName(r.name);
+            if (!id || vehicles[id] || VEHICLE_RESERVED_IDS.includes(id)) {
+                this.log.warn(`Fahrzeug '${r.name || ''}' ignoriert: Name leer, doppelt oder reserviert`);
+                continue;
+            }
+            vehicles[id] = {
+                id,
+                name: String(r.name).trim(),
+                stateIds: {
+                    lat: String(r.latStateId || '').trim(),
+                    lon: String(r.lonStateId || '').trim(),
+                    soc: String(r.socStateId || '').trim(),
+                    connected: String(r.connectedStateId || '').trim(),
+                    charging: String(r.chargingStateId || '').trim(),
+                },
+                profile: {
+                    batteryKwh: num(r.batteryKwh, this.vehicle.batteryKwh),
+                    consumptionKwh100: num(r.consumptionKwh100, this.vehicle.consumptionKwh100),
+                    reservePct: num(r.reservePct, this.vehicle.reservePct),
+                },
+                lat: null,
+                lon: null,
+                soc: null,
+                rangeKm: null,
+                connected: null,
+                charging: null,
+            };
+        }
+        return vehicles;
+    }
+
+    checkSubscriptionVehicles() {
+        // a typo or a disabled car would otherwise skip the subscription silently (noCarPosition)
+        for (const s of this.getSubscriptions()) {
+            if (!s || !isTrue(s.enabled)) continue;
+            const vehicleId = this.getSubscriptionVehicleId(s);
+            if (!vehicleId || this.vehicles[vehicleId]) continue;
+            this.log.warn(`Abo für '${s.recipient || ''}' (${s.station || ''}): Fahrzeug '${s.vehicle}' ist nicht als aktives Fahrzeug angelegt, es wird nie benachrichtigt`);
+        }
+    }
+
+    async ensureVehicleObjects(vehicle) {
+        const ch = `car.${vehicle.id}`;
+        await this.setObjectNotExistsAsync(ch, { type: 'channel', common: { name: vehicle.name }, native: {} });
+        const mk = (key, common) => this.setObjectNotExistsAsync(`${ch}.${key}`, { type: 'state', common: { ...common, read: true, write: false }, native: {} });
+        await mk('lat', { name: 'Latitude', type: 'number', role: 'value.gps.latitude' });
+        await mk('lon', { name: 'Longitude', type: 'number', role: 'value.gps.longitude' });
+        await mk('soc', { name: 'Ladestand (SoC)', type: 'number', role: 'value.battery', unit: '%' });
+        await mk('rangeKm', { name: 'Reichweite (bis Reserve)', type: 'number', role: 'value.distance', unit: 'km' });
+        await mk('connected', { name: 'Verbunden', type: 'boolean', role: 'indicator.connected' });
+        await mk('charging', { name: 'Lädt', type: 'boolean', role: 'indicator' });
+        await mk('lastUpdate', { name: 'Letztes Update', type: 'string', role: 'date' });
+    }
+
+    async initVehicles() {
+        this.vehicleByStateId = {};
+        for (const vehicle of Object.values(this.vehicles)) {
+            await this.ensureVehicleObjects(vehicle);
+            for (const id of Object.values(vehicle.stateIds)) {
+                if (!id) continue;
+                this.vehicleByStateId[id] = vehicle;
+                this.subscribeForeignStates(id);
+            }
+            // lat reads lon itself, so the position is only taken over once
+            for (const [key, id] of Object.entries(vehicle.stateIds)) {
+                if (!id || (key === 'lon' && vehicle.stateIds.lat)) continue;
+                const st = await this.getForeignStateAsync(id).catch(() => null);
+                if (st && st.val !== undefined && st.val !== null) await this.updateVehicleState(vehicle, id, st.val);
+            }
+            this.log.debug(`Fahrzeug ${vehicle.id}: lat=${vehicle.lat} lon=${vehicle.lon} soc=${vehicle.soc} rangeKm=${vehicle.rangeKm}`);
+        }
+    }
+
+    async updateVehicleState(vehicle, id, value) {
+        const ch = `car.${vehicle.id}`;
+        const ids = vehicle.stateIds;
+        if (id === ids.lat || id === ids.lon) {
+            const otherId = id === ids.lat ? ids.lon : ids.lat;
+            const other = otherId ? await this.getForeignStateAsync(otherId).catch(() => null) : null;
+            const lat = parseNumberLocale(id === ids.lat ? value : other?.val);
+            const lon = parseNumberLocale(id === ids.lon ? value : other?.val);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+            const changed = vehicle.lat !== lat || vehicle.lon !== lon;
+            vehicle.lat = lat;
+            vehicle.lon = lon;
+            await this.updateStateIfChanged(`${ch}.lat`, lat);
+            await this.updateStateIfChanged(`${ch}.lon`, lon);
+            if (changed) {
+                await this.updateDistancesForAllStations(vehicle);
+                await this.handleCarContextChange(`vehiclePosChange:${vehicle.id}`);
+            }
+        } else if (id === ids.soc) {
+            const soc = parseNumberLocale(value);
+            if (!Number.isFinite(soc)) return;
+            vehicle.soc = soc;
+            vehicle.rangeKm = this.computeRangeKm(soc, vehicle.profile);
+            await this.updateStateIfChanged(`${ch}.soc`, soc);
+            await this.updateStateIfChanged(`${ch}.rangeKm`, vehicle.rangeKm);
+            await this.handleCarContextChange(`vehicleSocChange:${vehicle.id}`);
+        } else if (id === ids.connected || id === ids.charging) {
+            const key = id === ids.connected ? 'connected' : 'charging';
+            const parsed = key === 'connected' ? parseConnectedState(value) : parseChargingState(value);
+            if (parsed === null) return;
+            vehicle[key] = parsed;
+            await this.updateStateIfChanged(`${ch}.${key}`, parsed);
+        } else {
+            return;
+        }
+        await this.setStateAsync(`${ch}.lastUpdate`, { val: new Date().toISOString(), ack: true });
+    }
+
+    getVehicleContext(vehicleId = '') {
+        // '' = primary car (car.*), otherwise a vehicle of the vehicles table
+        if (!vehicleId) return { id: '', name: '', lat: this.carLat, lon: this.carLon, soc: this.carSoc, rangeKm: this.carRangeKm };
+        return this.vehicles[vehicleId] || null;
+    }
+
+    getDistanceStateId(stationPrefixRel, vehicleId = '', key = 'm') {
+        return vehicleId ? `${stationPrefixRel}.distance.${vehicleId}.${key}` : `${stationPrefixRel}.distance.${key}`;
+    }
+
+    getSubscriptionVehicleId(sub) {
+        const raw = String(sub?.vehicle || '').trim();
+        return raw ? this.makeSafeName(raw) : '';
+    }
+
     shouldShowNearestType2Card() {
         const connectedKnown = typeof this.carConnected === 'boolean';
         const chargingKnown = typeof this.carCharging === 'boolean';
@@ -839,13 +2513,153 @@ class CptAdapter extends utils.Adapter {
         return null;
     }
 
+    nearestPortMatches(profile, plug, kw) {
+        if (profile.plugs.length && !profile.plugs.includes(normalizePlugType(plug))) return false;
+        if (profile.minKw && !(Number.isFinite(kw) && kw >= profile.minKw)) return false;
+        return true;
+    }
+
     async updateNearestType2(lat, lon) {
         // NOTE: A previous build accidentally inserted an invalid stray "(lat, lon) {" line here.
         // Keep this method as the only function header.
-        if (!isTrue(this.config.nearestType2Enabled)) return;
+        const profiles = this.getNearestProfiles();
+        if (!profiles.length) return;
         if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
 
-        const radiusM = Number(this.config.nearestRadiusM) || 2000;
+        for (const profile of profiles) {
+            await this.updateNearestForProfile(profile, lat, lon);
+        }
+    }
+
+    async buildNearestEntry(profile, nearest, lat, lon) {
+        const name = nearest.station_name || nearest.name || nearest.name1 || '';
+        // Build a full address if possible (street + zip + city). Fallback to whatever is available.
+        const street = (nearest.address1 || nearest.street_address || nearest.address || '').toString().trim();
+        const street2 = (nearest.address2 || '').toString().trim();
+        const zip = (nearest.postal_code || nearest.postalCode || nearest.zip || '').toString().trim();
+        const city = (nearest.city || nearest.town || nearest.locality || nearest.municipality || '').toString().trim();
+        const zipCity = [zip, city].filter(Boolean).join(' ').trim();
+        const addressFull = [street, street2, zipCity].filter(Boolean).join(', ').trim() || (nearest.location || '').toString().trim();
+        let distM = parseNumberLocale(nearest.__distanceM ?? nearest.distance ?? nearest.distance_m ?? nearest.distanceMeters ?? nearest.distance_meters);
+        const stLat = parseNumberLocale(nearest.lat ?? nearest.latitude);
+        const stLon = parseNumberLocale(nearest.lon ?? nearest.longitude);
+        let nearestDistanceType = this.getRoutingProvider() ? 'fallback' : 'airline';
+        let etaMin = null;
+        if (Number.isFinite(stLat) && Number.isFinite(stLon)) {
+            const distInfo = await this.getDistanceInfo(lat, lon, stLat, stLon);
+            nearestDistanceType = String(distInfo?.source || nearestDistanceType);
+            etaMin = travelTimeToMin(distInfo?.travelTimeSec);
+            if (Number.isFinite(Number(distInfo?.m))) {
+                distM = Number(distInfo.m);
+            } else if (!Number.isFinite(distM)) {
+                distM = Math.round(this.haversineKm(lat, lon, stLat, stLon) * 1000);
+            }
+        }
+        const latS = parseNumberLocale(nearest.lat ?? nearest.latitude);
+        const lonS = parseNumberLocale(nearest.lon ?? nearest.longitude);
+        const portsArr = (Array.isArray(nearest.ports) ? nearest.ports : [])
+            .filter((p) => this.nearestPortMatches(profile, p?.display_plug_type ?? p?.displayPlugType, parseNumberLocale(p?.power_range?.max ?? p?.powerRange?.max)));
+        const filtered = profile.plugs.length > 0 || profile.minKw > 0;
+        let freePorts = Number.isFinite(parseNumberLocale(nearest.free_ports ?? nearest.freePorts)) && !(filtered && portsArr.length)
+            ? parseNumberLocale(nearest.free_ports ?? nearest.freePorts)
+            : portsArr.filter(p => String(p?.status_v2 ?? p?.statusV2 ?? p?.status).toLowerCase() === 'available').length;
+        let portCount = Number.isFinite(parseNumberLocale(nearest.total_port_count ?? nearest.portCount)) && !(filtered && portsArr.length)
+            ? parseNumberLocale(nearest.total_port_count ?? nearest.portCount)
+            : portsArr.length;
+        const stationId = String(nearest.device_id ?? nearest.station_id ?? nearest.id ?? '').trim();
+
+        // Prefer internally refreshed station states when we can map the nearest API hit to a known station.
+        // This keeps the "Nächste freie Typ2" card consistent with the station list below.
+        const nearestPrefix = stationId ? this.stationPrefixByDeviceId[stationId] : null;
+        if (nearestPrefix) {
+            const [freeSt, countSt, nameSt, addrSt] = await Promise.all([
+                this.getStateAsync(nearestPrefix + '.freePorts').catch(() => null),
+                this.getStateAsync(nearestPrefix + '.portCount').catch(() => null),
+                this.getStateAsync(nearestPrefix + '.name').catch(() => null),
+                this.getStateAsync(nearestPrefix + '.address').catch(() => null),
+            ]);
+            const freeInfos = this.freePortsByPrefix[nearestPrefix];
+            if (filtered && Array.isArray(freeInfos)) {
+                // only the free ports of the polled station that fit the profile
+                freePorts = freeInfos.filter((p) => this.nearestPortMatches(profile, p.plug, p.kw)).length;
+            } else {
+                if (freeSt?.val !== undefined && freeSt?.val !== null && freeSt?.val !== '') {
+                    const v = Number(freeSt.val);
+                    if (Number.isFinite(v)) freePorts = v;
+                }
+                if (countSt?.val !== undefined && countSt?.val !== null && countSt?.val !== '') {
+                    const v = Number(countSt.val);
+                    if (Number.isFinite(v)) portCount = v;
+                }
+            }
+            if ((!name || !String(name).trim()) && nameSt?.val) {
+                nearest.station_name = String(nameSt.val);
+            }
+            if ((!addressFull || !String(addressFull).trim()) && addrSt?.val) {
+                nearest.address = String(addrSt.val);
+            }
+        }
+
+        const resolvedName = nearest.station_name || nearest.name || nearest.name1 || name || '';
+        const resolvedAddress = (nearest.address || addressFull || '').toString().trim();
+        return {
+            stationId,
+            name: resolvedName,
+            address: resolvedAddress,
+            distanceM: Number.isFinite(distM) ? Math.round(distM) : null,
+            distanceType: nearestDistanceType,
+            etaMin,
+            freePorts: Number.isFinite(freePorts) ? Math.round(freePorts) : null,
+            portCount: Number.isFinite(portCount) ? Math.round(portCount) : null,
+            lat: Number.isFinite(latS) ? latS : null,
+            lon: Number.isFinite(lonS) ? lonS : null,
+            city: (nearestPrefix && this.stationInfoByPrefix[nearestPrefix]?.city) || city,
+        };
+    }
+
+    getNearestListSize() {
+        const n = Number(this.config.nearestListSize);
+        return Number.isFinite(n) && n >= 1 ? Math.min(20, Math.round(n)) : 5;
+    }
+
+    async writeNearestList(profile, entries) {
+        const ch = profile.channel;
+        await this.setStateAsync(`${ch}.listJson`, { val: JSON.stringify(entries), ack: true });
+        // fixed number of slots, unused slots are cleared instead of deleted
+        for (let i = 1; i <= this.getNearestListSize(); i++) {
+            const e = entries[i - 1] || null;
+            await this.updateStateIfChanged(`${ch}.list.${i}.name`, e ? e.name : '');
+            await this.updateStateIfChanged(`${ch}.list.${i}.address`, e ? e.address : '');
+            await this.updateStateIfChanged(`${ch}.list.${i}.distance.m`, e ? e.distanceM : null);
+            await this.updateStateIfChanged(`${ch}.list.${i}.distanceType`, e ? e.distanceType : '');
+            await this.updateStateIfChanged(`${ch}.list.${i}.etaMin`, e ? e.etaMin ?? null : null);
+            await this.updateStateIfChanged(`${ch}.list.${i}.freePorts`, e ? e.freePorts : null);
+            await this.updateStateIfChanged(`${ch}.list.${i}.portCount`, e ? e.portCount : null);
+            await this.updateStateIfChanged(`${ch}.list.${i}.stationId`, e ? e.stationId : '');
+        }
+    }
+
+    getNearestRadii(startM) {
+        // 1-2-5 steps from the configured radius up to the maximum, e.g. 2 km -> 5 km -> 10 km
+        const maxM = Math.max(startM, Number(this.config.nearestMaxRadiusM) || 0);
+        const steps = [1, 2, 5];
+        const radii = [startM];
+        let mag = Math.pow(10, Math.floor(Math.log10(startM)));
+        let i = 0;
+        while (radii[radii.length - 1] < maxM) {
+            const next = steps[i] * mag;
+            i++;
+            if (i === steps.length) {
+                i = 0;
+                mag *= 10;
+            }
+            if (next > radii[radii.length - 1]) radii.push(Math.min(next, maxM));
+        }
+        return radii;
+    }
+
+    async fetchNearestPage(profile, lat, lon, radiusM, pageOffset) {
+        const ch = profile.channel;
         const pageSize = Number(this.config.nearestPageSize) || 10;
         const bbox = this.buildBBox(lat, lon, radiusM);
 
@@ -858,181 +2672,267 @@ class CptAdapter extends utils.Adapter {
                 sw_lat: bbox.sw_lat,
                 sw_lon: bbox.sw_lon,
                 page_size: pageSize,
-                page_offset: '',
+                page_offset: pageOffset || '',
                 sort_by: 'distance',
                 reference_lat: lat,
                 reference_lon: lon,
                 include_map_bound: true,
                 filter: {
-                    status_available: true,
-                    connector_l2_type2: true,
+                    ...(profile.onlyAvailable ? { status_available: true } : {}),
+                    ...(profile.plugs.includes('type2') ? { connector_l2_type2: true } : {}),
+                    ...(profile.plugs.includes('ccs') ? { connector_combo: true } : {}),
+                    ...(profile.plugs.includes('chademo') ? { connector_chademo: true } : {}),
                 },
                 bound_output: true,
             },
         };
 
-        const url = 'https://mc.chargepoint.com/map-prod/v2?' + encodeURIComponent(JSON.stringify(payload));
+        const url = this.providers.chargepoint.getMapSearchUrl(payload);
         // Debug: URL und Payload loggen (zum Vergleich mit Browser-Link)
-        this.log.debug('nearestType2 payload: ' + JSON.stringify(payload));
-        this.log.info('nearestType2 URL: ' + url);
-        this.log.debug(`nearestType2 bbox: NE(${bbox.ne_lat}, ${bbox.ne_lon}) SW(${bbox.sw_lat}, ${bbox.sw_lon}) r=${radiusM}m`);
+        this.log.debug(`${ch} payload: ` + JSON.stringify(payload));
+        this.log.info(`${ch} URL: ` + url);
+        this.log.debug(`${ch} bbox: NE(${bbox.ne_lat}, ${bbox.ne_lon}) SW(${bbox.sw_lat}, ${bbox.sw_lon}) r=${radiusM}m`);
 
-        try {
-            const resp = await axios.get(url, { timeout: 20000, validateStatus: () => true, headers: { 'User-Agent': 'Mozilla/5.0 (iobroker.cpt)', 'Accept': 'application/json,text/plain,*/*' } });
-            if (resp.status < 200 || resp.status >= 300) {
-                this.log.warn(`nearestType2: HTTP ${resp.status}`);
-                await this.setStateAsync('nearestType2.lastError', { val: `HTTP ${resp.status}`, ack: true });
-                return;
+        const resp = await axios.get(url, { timeout: 20000, validateStatus: () => true, headers: { 'User-Agent': 'Mozilla/5.0 (iobroker.cpt)', 'Accept': 'application/json,text/plain,*/*' } });
+        if (resp.status < 200 || resp.status >= 300) return { error: `HTTP ${resp.status}` };
+
+        // Axios may return plain text even if it is JSON. Be robust.
+        let data = resp.data;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch {
+                // keep as-is
             }
-            // Axios may return plain text even if it is JSON. Be robust.
-            let data = resp.data;
-            if (typeof data === 'string') {
-                try {
-                    data = JSON.parse(data);
-                } catch {
-                    // keep as-is
+        }
+        const stations = data?.station_list?.stations;
+        const nextOffset = data?.station_list?.page_offset ? String(data.station_list.page_offset) : '';
+        return { data, stations: Array.isArray(stations) ? stations : null, nextOffset };
+    }
+
+    async pickNearestCandidates(profile, lat, lon, stations, listSize) {
+        // Compute distance locally (the API sometimes omits `distance`) and pick the nearest *consistent* stations.
+        // Consistency rule: if we already poll the station and it is "unavailable/fault/offline", do not show it as "next free".
+        const candidates = [];
+        for (const st of stations) {
+            const stLat = parseNumberLocale(st?.lat ?? st?.latitude);
+            const stLon = parseNumberLocale(st?.lon ?? st?.longitude);
+            if (!Number.isFinite(stLat) || !Number.isFinite(stLon)) continue;
+            const km = this.haversineKm(lat, lon, stLat, stLon);
+            const m = km * 1000;
+            // the air-line distance is a lower bound of the route, so this can only exclude unreachable stations
+            if (!this.isWithinRange(m)) continue;
+            candidates.push({ st, m });
+        }
+        candidates.sort((a, b) => a.m - b.m);
+
+        const isBadStatus = (s) => {
+            const t = String(s || '').toLowerCase();
+            return t.includes('unavailable') || t.includes('fault') || t.includes('offline') || t.includes('out_of_service');
+        };
+
+        const picked = [];
+        for (const c of candidates) {
+            const st = c.st;
+            const portsArr = Array.isArray(st?.ports) ? st.ports : [];
+            // with port details the profile filter (plug/power) decides which ports count
+            const matching = portsArr.filter((p) => this.nearestPortMatches(profile, p?.display_plug_type ?? p?.displayPlugType, parseNumberLocale(p?.power_range?.max ?? p?.powerRange?.max)));
+            if (portsArr.length && !matching.length) continue;
+            const freePorts = Number.isFinite(parseNumberLocale(st?.free_ports ?? st?.freePorts)) && !portsArr.length
+                ? parseNumberLocale(st?.free_ports ?? st?.freePorts)
+                : matching.filter(p => String(p?.status_v2 ?? p?.statusV2 ?? p?.status).toLowerCase() === 'available').length;
+
+            // must have at least one available port
+            if (profile.onlyAvailable && !(Number(freePorts) > 0)) continue;
+
+            const stationId = String(st?.device_id ?? st?.station_id ?? st?.id ?? '').trim();
+            const prefix = stationId ? this.stationPrefixByDeviceId[stationId] : null;
+            if (prefix) {
+                const stState = await this.getStateAsync(prefix + '.statusDerived').catch(() => null);
+                const polled = stState ? stState.val : undefined;
+                if (isBadStatus(polled)) {
+                    // skip: polled status indicates fault/unavailable
+                    continue;
                 }
             }
 
-            // Prefer the known response shape: station_list.stations
-            const stations = data?.station_list?.stations;
-            let nearest = null;
-            if (Array.isArray(stations) && stations.length) {
-                // Compute distance locally (the API sometimes omits `distance`) and pick the nearest *consistent* station.
-                // Consistency rule: if we already poll the station and it is "unavailable/fault/offline", do not show it as "next free".
-                const candidates = [];
-                for (const st of stations) {
-                    const stLat = parseNumberLocale(st?.lat ?? st?.latitude);
-                    const stLon = parseNumberLocale(st?.lon ?? st?.longitude);
-                    if (!Number.isFinite(stLat) || !Number.isFinite(stLon)) continue;
-                    const km = this.haversineKm(lat, lon, stLat, stLon);
-                    const m = km * 1000;
-                    candidates.push({ st, m });
-                }
-                candidates.sort((a, b) => a.m - b.m);
+            st.__distanceM = c.m;
+            picked.push(st);
+            if (picked.length >= listSize) break;
+        }
+        return picked;
+    }
 
-                const isBadStatus = (s) => {
-                    const t = String(s || '').toLowerCase();
-                    return t.includes('unavailable') || t.includes('fault') || t.includes('offline') || t.includes('out_of_service');
-                };
+    async updateNearestForProfile(profile, lat, lon) {
+        const ch = profile.channel;
+        const listSize = this.getNearestListSize();
 
-                for (const c of candidates) {
-                    const st = c.st;
-                    const portsArr = Array.isArray(st?.ports) ? st.ports : [];
-                    const freePorts = Number.isFinite(parseNumberLocale(st?.free_ports ?? st?.freePorts))
-                        ? parseNumberLocale(st?.free_ports ?? st?.freePorts)
-                        : portsArr.filter(p => String(p?.status_v2 ?? p?.statusV2 ?? p?.status).toLowerCase() === 'available').length;
-
-                    // must have at least one available port
-                    if (!(Number(freePorts) > 0)) continue;
-
-                    const stationId = String(st?.device_id ?? st?.station_id ?? st?.id ?? '').trim();
-                    const prefix = stationId ? this.stationPrefixByDeviceId[stationId] : null;
-                    if (prefix) {
-                        const stState = await this.getStateAsync(prefix + '.statusDerived').catch(() => null);
-                        const polled = stState ? stState.val : undefined;
-                        if (isBadStatus(polled)) {
-                            // skip: polled status indicates fault/unavailable
-                            continue;
-                        }
+        try {
+            // page through the results and widen the box until a matching station is found
+            let picked = [];
+            let lastStations = [];
+            let usedRadiusM = profile.radiusM;
+            // widening beyond the remaining range cannot find a reachable station (the first radius covering it is kept)
+            const allRadii = this.getNearestRadii(profile.radiusM);
+            const radii = allRadii.filter((r, i) => !i || this.isWithinRange(allRadii[i - 1]));
+            for (const radiusM of radii) {
+                usedRadiusM = radiusM;
+                const stations = [];
+                const seenIds = new Set();
+                let pageOffset = '';
+                let hit = null;
+                picked = [];
+                for (let page = 0; page < NEAREST_MAX_PAGES; page++) {
+                    const res = await this.fetchNearestPage(profile, lat, lon, radiusM, pageOffset);
+                    if (res.error) {
+                        this.log.warn(`${ch}: ${res.error}`);
+                        await this.setStateAsync(`${ch}.lastError`, { val: res.error, ack: true });
+                        return;
                     }
-
-                    nearest = st;
-                    nearest.__distanceM = c.m;
-                    break;
+                    if (!res.stations || (!page && !res.stations.length)) {
+                        // unknown response shape: search the first station-like object
+                        hit = this.extractNearestType2(res.data);
+                        break;
+                    }
+                    for (const st of res.stations) {
+                        const id = String(st?.device_id ?? st?.station_id ?? st?.id ?? '').trim();
+                        if (id && seenIds.has(id)) continue;
+                        if (id) seenIds.add(id);
+                        stations.push(st);
+                    }
+                    picked = await this.pickNearestCandidates(profile, lat, lon, stations, listSize);
+                    if (picked.length >= listSize || !res.nextOffset || res.nextOffset === pageOffset) break;
+                    pageOffset = res.nextOffset;
                 }
+                if (hit) picked = [hit];
+                lastStations = stations;
+                if (picked.length) break;
+                this.log.debug(`${ch}: keine passende Station im Radius ${radiusM} m`);
+            }
 
-                // fallback: still pick the first entry (should be rare)
-                if (!nearest) {
-                    nearest = stations[0];
-                }
-            } else {
-                nearest = this.extractNearestType2(data);
+            // fallback: still pick the first entry that fits the profile (should be rare)
+            if (!picked.length) {
+                const fallback = lastStations.find((st) => !Array.isArray(st?.ports) || !st.ports.length
+                    || st.ports.some((p) => this.nearestPortMatches(profile, p?.display_plug_type ?? p?.displayPlugType, parseNumberLocale(p?.power_range?.max ?? p?.powerRange?.max))));
+                if (fallback) picked.push(fallback);
             }
-            await this.setStateAsync('nearestType2.lastError', { val: '', ack: true });
-            if (!nearest) {
-                this.log.info('nearestType2: keine Treffer');
-                await this.setStateAsync('nearestType2.lastError', { val: 'keine Treffer', ack: true });
+            await this.setStateAsync(`${ch}.searchRadiusM`, { val: usedRadiusM, ack: true });
+            await this.setStateAsync(`${ch}.lastError`, { val: '', ack: true });
+            if (!picked.length) {
+                this.log.info(`${ch}: keine Treffer`);
+                await this.setStateAsync(`${ch}.lastError`, { val: 'keine Treffer', ack: true });
+                await this.writeNearestList(profile, []);
                 return;
             }
 
-            const name = nearest.station_name || nearest.name || nearest.name1 || '';
-            // Build a full address if possible (street + zip + city). Fallback to whatever is available.
-            const street = (nearest.address1 || nearest.street_address || nearest.address || '').toString().trim();
-            const street2 = (nearest.address2 || '').toString().trim();
-            const zip = (nearest.postal_code || nearest.postalCode || nearest.zip || '').toString().trim();
-            const city = (nearest.city || nearest.town || nearest.locality || nearest.municipality || '').toString().trim();
-            const zipCity = [zip, city].filter(Boolean).join(' ').trim();
-            const addressFull = [street, street2, zipCity].filter(Boolean).join(', ').trim() || (nearest.location || '').toString().trim();
-            let distM = parseNumberLocale(nearest.__distanceM ?? nearest.distance ?? nearest.distance_m ?? nearest.distanceMeters ?? nearest.distance_meters);
-            const stLat = parseNumberLocale(nearest.lat ?? nearest.latitude);
-            const stLon = parseNumberLocale(nearest.lon ?? nearest.longitude);
-            let nearestDistanceType = this.getTomTomEnabled() ? 'fallback' : 'airline';
-            if (Number.isFinite(stLat) && Number.isFinite(stLon)) {
-                const distInfo = await this.getDistanceInfo(lat, lon, stLat, stLon);
-                nearestDistanceType = String(distInfo?.source || nearestDistanceType);
-                if (Number.isFinite(Number(distInfo?.m))) {
-                    distM = Number(distInfo.m);
-                } else if (!Number.isFinite(distM)) {
-                    distM = Math.round(this.haversineKm(lat, lon, stLat, stLon) * 1000);
-                }
+            let entries = [];
+            await this.prefetchRouteMatrix(lat, lon, picked.map((st) => ({
+                lat: parseNumberLocale(st?.lat ?? st?.latitude),
+                lon: parseNumberLocale(st?.lon ?? st?.longitude),
+            })));
+            for (const st of picked) entries.push(await this.buildNearestEntry(profile, st, lat, lon));
+            await this.saveRouteCache();
+            entries = entries.filter((e) => e.distanceM === null || this.isWithinRange(e.distanceM));
+            if (!entries.length) {
+                this.log.info(`${ch}: keine Station in Reichweite (${this.carRangeKm} km)`);
+                await this.setStateAsync(`${ch}.lastError`, { val: 'keine Station in Reichweite', ack: true });
+                await this.writeNearestList(profile, []);
+                return;
             }
-            const latS = parseNumberLocale(nearest.lat ?? nearest.latitude);
-            const lonS = parseNumberLocale(nearest.lon ?? nearest.longitude);
-            const portsArr = Array.isArray(nearest.ports) ? nearest.ports : [];
-            let freePorts = Number.isFinite(parseNumberLocale(nearest.free_ports ?? nearest.freePorts))
-                ? parseNumberLocale(nearest.free_ports ?? nearest.freePorts)
-                : portsArr.filter(p => String(p?.status_v2 ?? p?.statusV2 ?? p?.status).toLowerCase() === 'available').length;
-            let portCount = Number.isFinite(parseNumberLocale(nearest.total_port_count ?? nearest.portCount))
-                ? parseNumberLocale(nearest.total_port_count ?? nearest.portCount)
-                : (Number.isFinite(parseNumberLocale(nearest.total_port_count)) ? parseNumberLocale(nearest.total_port_count) : portsArr.length);
-            const stationId = String(nearest.device_id ?? nearest.station_id ?? nearest.id ?? '').trim();
-
-            // Prefer internally refreshed station states when we can map the nearest API hit to a known station.
-            // This keeps the "Nächste freie Typ2" card consistent with the station list below.
-            const nearestPrefix = stationId ? this.stationPrefixByDeviceId[stationId] : null;
-            if (nearestPrefix) {
-                const [freeSt, countSt, nameSt, addrSt] = await Promise.all([
-                    this.getStateAsync(nearestPrefix + '.freePorts').catch(() => null),
-                    this.getStateAsync(nearestPrefix + '.portCount').catch(() => null),
-                    this.getStateAsync(nearestPrefix + '.name').catch(() => null),
-                    this.getStateAsync(nearestPrefix + '.address').catch(() => null),
-                ]);
-                if (freeSt?.val !== undefined && freeSt?.val !== null && freeSt?.val !== '') {
-                    const v = Number(freeSt.val);
-                    if (Number.isFinite(v)) freePorts = v;
-                }
-                if (countSt?.val !== undefined && countSt?.val !== null && countSt?.val !== '') {
-                    const v = Number(countSt.val);
-                    if (Number.isFinite(v)) portCount = v;
-                }
-                if ((!name || !String(name).trim()) && nameSt?.val) {
-                    nearest.station_name = String(nameSt.val);
-                }
-                if ((!addressFull || !String(addressFull).trim()) && addrSt?.val) {
-                    nearest.address = String(addrSt.val);
-                }
+            // rank by route distance, entries without distance go to the end
+            entries.sort((a, b) => (a.distanceM ?? Infinity) - (b.distanceM ?? Infinity));
+            const best = entries[0];
+
+            const prevStationSt = await this.getStateAsync(`${ch}.stationId`).catch(() => null);
+            const prevStationId = prevStationSt?.val ? String(prevStationSt.val) : '';
+
+            if (best.name) await this.setStateAsync(`${ch}.name`, { val: best.name, ack: true });
+            await this.setStateAsync(`${ch}.address`, { val: best.address || '', ack: true });
+            if (best.distanceM !== null) {
+                await this.setStateAsync(`${ch}.distance.m`, { val: best.distanceM, ack: true });
+                await this.setStateAsync(`${ch}.distance.km`, { val: Math.round((best.distanceM / 1000) * 100) / 100, ack: true });
+            }
+            await this.setStateAsync(`${ch}.distanceType`, { val: best.distanceType, ack: true });
+            await this.updateStateIfChanged(`${ch}.etaMin`, best.etaMin ?? null);
+            await this.updateDistanceSourceStates(best.distanceType);
+            if (best.freePorts !== null) await this.setStateAsync(`${ch}.freePorts`, { val: best.freePorts, ack: true });
+            if (best.portCount !== null) await this.setStateAsync(`${ch}.portCount`, { val: best.portCount, ack: true });
+            if (best.lat !== null) await this.setStateAsync(`${ch}.lat`, { val: best.lat, ack: true });
+            if (best.lon !== null) await this.setStateAsync(`${ch}.lon`, { val: best.lon, ack: true });
+            await this.setStateAsync(`${ch}.stationId`, { val: best.stationId, ack: true });
+            await this.setStateAsync(`${ch}.lastUpdate`, { val: new Date().toISOString(), ack: true });
+            await this.writeNearestList(profile, entries);
+
+            if (profile.notify && best.stationId && prevStationId && best.stationId !== prevStationId) {
+                await this.notifyNearestChange(ch, {
+                    station: best.name,
+                    city: best.city,
+                    address: best.address,
+                    distanceM: best.distanceM ?? undefined,
+                    freePorts: best.freePorts ?? undefined,
+                    portCount: best.portCount ?? undefined,
+                    soc: this.carSoc,
+                    mapsUrl: best.lat !== null && best.lon !== null ? `https://www.google.com/maps?q=${best.lat},${best.lon}` : '',
+                    lat: best.lat ?? undefined,
+                    lon: best.lon ?? undefined,
+                });
             }
-
-            const resolvedName = nearest.station_name || nearest.name || nearest.name1 || name || '';
-            const resolvedAddress = (nearest.address || addressFull || '').toString().trim();
-            if (resolvedName) await this.setStateAsync('nearestType2.name', { val: resolvedName, ack: true });
-            await this.setStateAsync('nearestType2.address', { val: resolvedAddress || '', ack: true });
-            if (Number.isFinite(distM)) {
-                await this.setStateAsync('nearestType2.distance.m', { val: Math.round(distM), ack: true });
-                await this.setStateAsync('nearestType2.distance.km', { val: Math.round((distM / 1000) * 100) / 100, ack: true });
-            }
-            await this.setStateAsync('nearestType2.distanceType', { val: nearestDistanceType, ack: true });
-            await this.updateDistanceSourceStates(nearestDistanceType);
-            if (Number.isFinite(freePorts)) await this.setStateAsync('nearestType2.freePorts', { val: Math.round(freePorts), ack: true });
-            if (Number.isFinite(portCount)) await this.setStateAsync('nearestType2.portCount', { val: Math.round(portCount), ack: true });
-            if (Number.isFinite(latS)) await this.setStateAsync('nearestType2.lat', { val: latS, ack: true });
-            if (Number.isFinite(lonS)) await this.setStateAsync('nearestType2.lon', { val: lonS, ack: true });
-            await this.setStateAsync('nearestType2.stationId', { val: stationId, ack: true });
-            await this.setStateAsync('nearestType2.lastUpdate', { val: new Date().toISOString(), ack: true });
         } catch (e) {
-            this.log.debug(`nearestType2 Fehler: ${e.message}`);
+            this.log.debug(`${ch} Fehler: ${e.message}`);
+        }
+    }
+
+    computeRangeKm(soc, vehicle = this.vehicle) {
+        // energy above the reserve divided by the consumption
+        if (!vehicle || !(vehicle.batteryKwh > 0) || !(vehicle.consumptionKwh100 > 0)) return null;
+        if (typeof soc !== 'number' || !Number.isFinite(soc)) return null;
+        const usableKwh = (Math.max(0, soc - vehicle.reservePct) / 100) * vehicle.batteryKwh;
+        return Math.round((usableKwh / vehicle.consumptionKwh100) * 1000) / 10;
+    }
+
+    async updateCarRange() {
+        this.carRangeKm = this.computeRangeKm(this.carSoc);
+        await this.updateStateIfChanged('car.rangeKm', this.carRangeKm);
+    }
+
+    isWithinRange(distanceM, rangeKm = this.carRangeKm) {
+        if (rangeKm === null || rangeKm === undefined) return true;
+        return Number.isFinite(Number(distanceM)) && Number(distanceM) <= rangeKm * 1000;
+    }
+
+    async isLastReachableStation(stationPrefixRel, vehicleId = '') {
+        // true if no other known free station is within the remaining range
+        const rangeKm = this.getVehicleContext(vehicleId)?.rangeKm;
+        if (rangeKm === null || rangeKm === undefined) return false;
+        const own = await this.getStateAsync(this.getDistanceStateId(stationPrefixRel, vehicleId)).catch(() => null);
+        if (!this.isWithinRange(own?.val ?? NaN, rangeKm)) return false;
+
+        for (const prefix of this.stationPrefixes) {
+            if (prefix === stationPrefixRel) continue;
+            const [freeSt, distSt] = await Promise.all([
+                this.getStateAsync(`${prefix}.freePorts`).catch(() => null),
+                this.getStateAsync(this.getDistanceStateId(prefix, vehicleId)).catch(() => null),
+            ]);
+            if (Number(freeSt?.val) > 0 && this.isWithinRange(distSt?.val ?? NaN, rangeKm)) return false;
         }
+
+        // the nearest search runs around the primary car only
+        if (vehicleId) return true;
+        for (const profile of this.getNearestProfiles()) {
+            if (!profile.onlyAvailable) continue;
+            const listSt = await this.getStateAsync(`${profile.channel}.listJson`).catch(() => null);
+            let entries = [];
+            try {
+                entries = listSt?.val ? JSON.parse(listSt.val) : [];
+            } catch {
+                entries = [];
+            }
+            for (const e of Array.isArray(entries) ? entries : []) {
+                if (e.stationId && this.stationPrefixByDeviceId[e.stationId] === stationPrefixRel) continue;
+                if (Number(e.freePorts) > 0 && this.isWithinRange(e.distanceM ?? NaN)) return false;
+            }
+        }
+        return true;
     }
 
     async updateCarSoc(soc, source) {
@@ -1045,6 +2945,7 @@ class CptAdapter extends utils.Adapter {
             await this.setStateAsync('car.source', { val: source, ack: true });
         }
         await this.setStateAsync('car.lastUpdate', { val: new Date().toISOString(), ack: true });
+        await this.updateCarRange();
         await this.handleCarContextChange('socChange');
     }
 
@@ -1085,23 +2986,25 @@ class CptAdapter extends utils.Adapter {
         }
     }
 
-    async passesNotifyFilters(stationPrefixRel) {
-        const res = { ok: true, socOk: true, distanceOk: true, soc: this.carSoc, distanceM: null };
+    async passesNotifyFilters(stationPrefixRel, vehicleId = '') {
+        const car = this.getVehicleContext(vehicleId) || {};
+        const distanceId = this.getDistanceStateId(stationPrefixRel, vehicleId);
+        const res = { ok: true, socOk: true, distanceOk: true, etaOk: true, rangeOk: true, soc: car.soc, rangeKm: car.rangeKm ?? null, distanceM: null, etaMin: null };
 
         const socTh = Number(this.notifySocBelow);
         if (Number.isFinite(socTh)) {
-            if (typeof this.carSoc !== 'number' || !Number.isFinite(this.carSoc)) {
+            if (typeof car.soc !== 'number' || !Number.isFinite(car.soc)) {
                 res.ok = false;
                 res.socOk = false;
             } else {
-                res.socOk = this.carSoc < socTh;
+                res.socOk = car.soc < socTh;
                 res.ok = res.ok && res.socOk;
             }
         }
 
         const distMax = Number(this.notifyMaxDistanceM);
         if (Number.isFinite(distMax)) {
-            const st = await this.getStateAsync(`${stationPrefixRel}.distance.m`).catch(() => null);
+            const st = await this.getStateAsync(distanceId).catch(() => null);
             const d = st && st.val !== undefined && st.val !== null ? Number(st.val) : NaN;
             res.distanceM = Number.isFinite(d) ? d : null;
             if (!Number.isFinite(d)) {
@@ -1113,22 +3016,44 @@ class CptAdapter extends utils.Adapter {
             }
         }
 
+        // travel time needs a routing backend; without ETA the filter cannot pass
+        const etaMax = Number(this.notifyMaxEtaMin);
+        if (etaMax > 0) {
+            const st = await this.getStateAsync(this.getDistanceStateId(stationPrefixRel, vehicleId, 'etaMin')).catch(() => null);
+            const eta = st && st.val !== undefined && st.val !== null ? Number(st.val) : NaN;
+            res.etaMin = Number.isFinite(eta) ? eta : null;
+            res.etaOk = Number.isFinite(eta) && eta <= etaMax;
+            res.ok = res.ok && res.etaOk;
+        }
+
+        // a station beyond the remaining range is useless, whatever the distance filter says
+        if (res.rangeKm !== null) {
+            if (res.distanceM === null) {
+                const st = await this.getStateAsync(distanceId).catch(() => null);
+                const d = st && st.val !== undefined && st.val !== null ? Number(st.val) : NaN;
+                res.distanceM = Number.isFinite(d) ? d : null;
+            }
+            res.rangeOk = res.distanceM !== null && this.isWithinRange(res.distanceM, res.rangeKm);
+            res.ok = res.ok && res.rangeOk;
+        }
+
         return res;
     }
 
 
     getNotifyMeta(stationPrefixRel) {
         if (!this.notifyMetaByStation[stationPrefixRel]) {
-            this.notifyMetaByStation[stationPrefixRel] = { notifiedPosKey: null, lastSent: 0 };
+            this.notifyMetaByStation[stationPrefixRel] = { notifiedPosKey: null, notifiedPosKeyByVehicle: {}, lastSent: 0, notifiedLabels: [] };
         }
         return this.notifyMetaByStation[stationPrefixRel];
     }
 
-    getCarPosKey() {
+    getCarPosKey(vehicleId = '') {
         // Round to 3 decimals (~111m) to avoid jitter-related spam
-        if (!Number.isFinite(this.carLat) || !Number.isFinite(this.carLon)) return null;
-        const lat = Math.round(this.carLat * 1000) / 1000;
-        const lon = Math.round(this.carLon * 1000) / 1000;
+        const car = this.getVehicleContext(vehicleId);
+        if (!car || !Number.isFinite(car.lat) || !Number.isFinite(car.lon)) return null;
+        const lat = Math.round(car.lat * 1000) / 1000;
+        const lon = Math.round(car.lon * 1000) / 1000;
         return `${lat.toFixed(3)}:${lon.toFixed(3)}`;
     }
 
@@ -1190,61 +3115,423 @@ class CptAdapter extends utils.Adapter {
                 return true;
             }
 
-            const normSub = normalize(stVal.replace(/^name:/i, ''));
+            const normSub = normalize(stVal.replace(/^name:/i, ''));
+
+            const candidates = [
+                station,
+                prefix,
+                prefixTail
+            ]
+                .map(normalize)
+                .filter(Boolean);
+
+            return candidates.includes(normSub);
+        });
+
+        return hasSubs;
+    }
+
+    async attemptNotifyForStation({ stationPrefixRel, city, stationName, freePorts, portCount, ports, reason }) {
+        const meta = this.getNotifyMeta(stationPrefixRel);
+        if (!meta.notifiedPosKeyByVehicle) meta.notifiedPosKeyByVehicle = {};
+
+        // Reset notified when station is not free anymore
+        if (!(Number(freePorts) > 0)) {
+            meta.notifiedPosKey = null;
+            meta.notifiedPosKeyByVehicle = {};
+            return;
+        }
+
+        // a non-empty queue replaces the subscriptions: only the first in line gets a message
+        if (this.isQueueActive(stationPrefixRel)) {
+            this.recordEvent('notifySkipped', { station: stationPrefixRel, reason: 'queue', trigger: reason });
+            return;
+        }
+
+        // Station toggle OR subscriptions decide whether station is relevant
+        const notifyState = await this.getStateAsync(`${stationPrefixRel}.notifyOnAvailable`).catch(() => null);
+        const notifyEnabled = notifyState?.val === true;
+        const hasSubs = this.stationHasNotifyTarget(stationPrefixRel, stationName);
+
+        // New rule: Station must have Notify enabled AND there must be at least one matching subscription
+        if (!notifyEnabled || !hasSubs) {
+            this.recordEvent('notifySkipped', { station: stationPrefixRel, reason: !notifyEnabled ? 'disabled' : 'noSubscriptions', trigger: reason });
+            return;
+        }
+
+        // every subscription belongs to one car ('' = primary car); position and filters are checked per car
+        const subVehicleIds = this.getMatchingSubscriptions(stationPrefixRel, stationName).map((s) => this.getSubscriptionVehicleId(s));
+        const vehicleIds = subVehicleIds.length ? Array.from(new Set(subVehicleIds)) : [''];
+        const passed = [];
+        for (const vehicleId of vehicleIds) {
+            const vehicleInfo = vehicleId ? { vehicle: vehicleId } : {};
+            const posKey = this.getCarPosKey(vehicleId);
+
+            // Require a stable car position (needed for distance filter + "notify again only after position changed")
+            if (!posKey) {
+                this.recordEvent('notifySkipped', { station: stationPrefixRel, reason: 'noCarPosition', trigger: reason, ...vehicleInfo });
+                continue;
+            }
+
+            // Only one notification per free phase AND car position key
+            const notifiedPosKey = vehicleId ? meta.notifiedPosKeyByVehicle[vehicleId] : meta.notifiedPosKey;
+            if (notifiedPosKey && notifiedPosKey === posKey) continue;
+
+            // Filters: SoC + distance must be determinable and pass
+            const f = await this.passesNotifyFilters(stationPrefixRel, vehicleId);
+            if (!f.ok) {
+                const reasons = [];
+                if (!f.socOk) reasons.push(`SoC nicht unter ${this.notifySocBelow}% (SoC=${f.soc ?? 'n/a'})`);
+                if (!f.distanceOk) reasons.push(`Distanz > ${this.notifyMaxDistanceM}m (dist=${f.distanceM ?? 'n/a'})`);
+                if (!f.etaOk) reasons.push(`Fahrzeit > ${this.notifyMaxEtaMin} min (eta=${f.etaMin ?? 'n/a'})`);
+                if (!f.rangeOk) reasons.push(`außer Reichweite ${f.rangeKm} km (dist=${f.distanceM ?? 'n/a'})`);
+                this.recordEvent('notifySkipped', {
+                    station: stationPrefixRel,
+                    reason: [!f.socOk ? 'soc' : null, !f.distanceOk ? 'distance' : null, !f.etaOk ? 'eta' : null, !f.rangeOk ? 'range' : null].filter(Boolean).join(','),
+                    trigger: reason,
+                    soc: f.soc ?? null,
+                    distanceM: f.distanceM ?? null,
+                    etaMin: f.etaMin ?? null,
+                    ...vehicleInfo,
+                });
+                this.log.debug(`Notify übersprungen (${reason}): ${stationName} (${city})${vehicleId ? ` [${vehicleId}]` : ''} – ${reasons.join(', ')}`);
+                continue;
+            }
+            passed.push({ vehicleId, posKey, f });
+        }
+        if (!passed.length) return;
+
+        const res = await this.notifySubscribers({ stationPrefixRel, city, stationName, freePorts, portCount, ports, vehicleIds: passed.map((p) => p.vehicleId), isTest: false });
+        if (!res.ok) {
+            this.log.debug(`Notify übersprungen (${reason}): ${stationName} (${city}) – kein Empfänger aktiv (Zeitplan/Cooldown/Ruhezeit)`);
+            return;
+        }
+        for (const { vehicleId, posKey, f } of passed) {
+            if (!res.sentVehicles.includes(vehicleId)) continue;
+            if (vehicleId) meta.notifiedPosKeyByVehicle[vehicleId] = posKey;
+            else meta.notifiedPosKey = posKey;
+            this.log.info(`Notify (${reason}): ${stationName} (${city})${vehicleId ? ` [${vehicleId}]` : ''} freePorts=${freePorts}/${portCount} (SoC=${f.soc ?? 'n/a'}%, dist=${f.distanceM ?? 'n/a'}m)`);
+        }
+        meta.lastSent = Date.now();
+        meta.notifiedLabels = Array.from(new Set([...(meta.notifiedLabels || []), ...res.sentTo]));
+    }
+
+    async notifyStationOccupied(stationPrefixRel, ctx) {
+        // follow-up for the recipients that got the "available" message of the current free phase
+        const meta = this.getNotifyMeta(stationPrefixRel);
+        const labels = Array.isArray(meta.notifiedLabels) ? meta.notifiedLabels : [];
+        if (!labels.length) return;
+        meta.notifiedLabels = [];
+        if (!this.notifyOnOccupied) return;
+        await this.sendStationMessage(stationPrefixRel, 'occupied', ctx, { onlyLabels: labels });
+    }
+
+    async notifyNearestChange(channel, vars) {
+        // subscriptions for "__ALL__" or the nearest channel itself, with cooldown so a flapping search does not spam
+        if (!this.notifyNearestChanged) return;
+        const sent = await this.sendSubscriptionMessage(channel, 'nearestChanged', vars, { stationName: '', cooldown: true, richTelegram: true });
+        if (sent.length) this.log.info(`Nächste freie Station geändert (${channel}): ${vars.station} -> ${sent.join(', ')}`);
+    }
+
+    // ---------- Fault / outage alerts ----------
+
+    async updateStationHealth(stationPrefixRel, { reachable, stationName, city, derived, freePorts, portCount }) {
+        if (!this.stationHealthByPrefix[stationPrefixRel]) this.stationHealthByPrefix[stationPrefixRel] = { failedPolls: 0, alerted: null };
+        const h = this.stationHealthByPrefix[stationPrefixRel];
+        const ctx = {
+            station: stationName,
+            city: city || this.stationInfoByPrefix[stationPrefixRel]?.city || stationPrefixRel.split('.')[1] || '',
+            status: derived,
+            freePorts,
+            portCount,
+        };
+
+        if (!reachable) {
+            h.failedPolls++;
+            if (h.failedPolls >= this.outageAfterPolls && h.alerted !== 'outage') {
+                h.alerted = 'outage';
+                this.recordEvent('stationOutage', { station: stationPrefixRel, polls: h.failedPolls });
+                await this.notifyStationAlert(stationPrefixRel, 'outage', { ...ctx, polls: h.failedPolls });
+            }
+            return;
+        }
+
+        h.failedPolls = 0;
+        if (STATION_FAULT_STATUSES.includes(derived)) {
+            if (h.alerted !== 'fault') {
+                h.alerted = 'fault';
+                await this.notifyStationAlert(stationPrefixRel, 'fault', ctx);
+            }
+        } else if (h.alerted) {
+            this.recordEvent('stationRecovered', { station: stationPrefixRel, previous: h.alerted, status: derived });
+            h.alerted = null;
+            await this.notifyStationAlert(stationPrefixRel, 'recovered', ctx);
+        }
+    }
+
+    async notifyStationAlert(stationPrefixRel, type, ctx) {
+        await this.saveNotifyState();
+        if (!this.faultAlertsEnabled) return;
+        await this.sendStationMessage(stationPrefixRel, type, ctx);
+    }
+
+    async sendStationMessage(stationPrefixRel, type, ctx, { onlyLabels = null } = {}) {
+        // same recipients as the "available" notification, but without cooldown: every alert is a state change
+        const vars = await this.getStationMessageVars(stationPrefixRel, ctx);
+        await this.sendSubscriptionMessage(stationPrefixRel, type, vars, { stationName: ctx.station, onlyLabels });
+        this.log.info(`Stations-Meldung (${type}): ${ctx.station} (${ctx.city})`);
+    }
+
+    async sendSubscriptionMessage(stationPrefixRel, type, vars, { stationName = vars.station, onlyLabels = null, cooldown = false, richTelegram = false } = {}) {
+        // subscription recipients with schedule and quiet hours; onlyLabels narrows them, cooldown uses the per-recipient cooldown
+        const text = this.formatMessage(type, vars);
+        const wanted = Array.isArray(onlyLabels) ? onlyLabels.map((l) => String(l).toLowerCase()) : null;
+        const sent = [];
+        for (const s of this.getMatchingSubscriptions(stationPrefixRel, stationName)) {
+            const recipientLabel = String(s.recipient || '').trim();
+            if (!recipientLabel || sent.includes(recipientLabel)) continue;
+            if (wanted && !wanted.includes(recipientLabel.toLowerCase())) continue;
+            if (!this.isSubscriptionActive(s)) {
+                this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'schedule', event: type });
+                continue;
+            }
+            const remainingMs = cooldown ? this.getCooldownRemainingMs(stationPrefixRel, s) : 0;
+            if (remainingMs > 0) {
+                this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'cooldown', event: type, remainingMin: Math.ceil(remainingMs / 60000) });
+                continue;
+            }
+            if (this.isQuietTime()) {
+                if (this.quietMode === 'digest') {
+                    this.queueDigestMessage(recipientLabel, `${stationPrefixRel}|${type}${vars.outlet !== undefined ? '|' + vars.outlet : ''}`, text);
+                    this.recordEvent('notifyDeferred', { station: stationPrefixRel, recipient: recipientLabel, reason: 'quietHours', event: type });
+                } else {
+                    this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: recipientLabel, reason: 'quietHours', event: type });
+                }
+                continue;
+            }
+            await this.sendMessageToChannels(text, { ...vars, event: type, onlyLabel: recipientLabel, richTelegram });
+            this.recordEvent('notifySent', { station: stationPrefixRel, recipient: recipientLabel, event: type });
+            if (cooldown) this.notifyLastSentByKey[this.getCooldownKey(stationPrefixRel, recipientLabel)] = Date.now();
+            sent.push(recipientLabel);
+        }
+        if (cooldown && sent.length) await this.saveNotifyState();
+        return sent;
+    }
+
+    // ---------- Occupied too long ----------
+
+    async updatePortOccupancy({ cacheKey, portPrefix, stationPrefix, stationName, city, outletNumber, curStatus }) {
+        // the status state keeps its "lc" across restarts, so it tells how long the port is in its current status
+        const st = await this.getStateAsync(`${portPrefix}.status`).catch(() => null);
+        const since = st && (st.lc || st.ts);
+        if (!since) return;
+        const now = Date.now();
+        const ageMin = Math.max(0, Math.floor((now - since) / 60000));
+        await this.updateStateIfChanged(`${portPrefix}.statusAgeMin`, ageMin);
+
+        const alert = this.occupiedAlertByKey[cacheKey];
+        const ctx = { station: stationName, city, outlet: outletNumber };
+
+        if (isOccupiedStatus(curStatus)) {
+            if (alert || !(this.occupiedTooLongMin > 0) || ageMin < this.occupiedTooLongMin) return;
+            this.occupiedAlertByKey[cacheKey] = { since, alertedAt: now };
+            await this.saveNotifyState();
+            this.recordEvent('occupiedTooLong', { station: stationPrefix, outlet: outletNumber, minutes: ageMin });
+            await this.sendStationMessage(stationPrefix, 'occupiedTooLong', { ...ctx, minutes: ageMin });
+            return;
+        }
+
+        if (!alert) return;
+        delete this.occupiedAlertByKey[cacheKey];
+        await this.saveNotifyState();
+        // only a real release is worth a message; fault/offline ends the timer silently
+        if (curStatus !== 'available') return;
+        const minutes = Math.round((now - alert.since) / 60000);
+        this.recordEvent('occupiedReleased', { station: stationPrefix, outlet: outletNumber, minutes });
+        await this.sendStationMessage(stationPrefix, 'occupiedReleased', { ...ctx, minutes });
+    }
+
+    // ---------- Queue ----------
+
+    isQueueActive(stationPrefixRel) {
+        const q = this.queueByPrefix[stationPrefixRel];
+        return !!(q && q.entries.length);
+    }
+
+    resolveChannelLabel(value) {
+        // queue members are channel labels (case-insensitive), so messages can be routed with onlyLabel
+        const wanted = String(value ?? '').trim().toLowerCase();
+        if (!wanted) return null;
+        const ch = this.getActiveChannels().find((c) => (c.label || '').toLowerCase() === wanted);
+        return ch ? ch.label : null;
+    }
+
+    resolveChannelLabelByUser(instance, user) {
+        // Telegram button presses carry the user name of the channel row, not its label
+        const wanted = String(user ?? '').trim().toLowerCase();
+        const rows = this.getActiveChannels().filter((c) => c.instance === instance);
+        const ch = wanted ? rows.find((c) => (c.user || '').toLowerCase() === wanted) : null;
+        if (ch) return ch.label;
+        // a row without user sends to every user of the bot, it is only taken when it is the only one
+        const open = rows.filter((c) => !c.user);
+        return open.length === 1 ? open[0].label : null;
+    }
+
+    async writeQueueStates(stationPrefixRel) {
+        const q = this.queueByPrefix[stationPrefixRel] || { entries: [], turn: null };
+        await this.updateStateIfChanged(`${stationPrefixRel}.queue.json`, JSON.stringify(q.entries));
+        await this.updateStateIfChanged(`${stationPrefixRel}.queue.length`, q.entries.length);
+        await this.updateStateIfChanged(`${stationPrefixRel}.queue.current`, q.turn ? q.turn.label : '');
+        await this.updateStateIfChanged(`${stationPrefixRel}.queue.turnExpiresAt`, q.turn ? new Date(q.turn.expiresAt).toISOString() : '');
+    }
+
+    async queueJoin(stationPrefixRel, value) {
+        const label = this.resolveChannelLabel(value);
+        if (!label) {
+            this.log.warn(`Warteschlange ${stationPrefixRel}: unbekannter Kanal "${value}"`);
+            return false;
+        }
+        if (!this.queueByPrefix[stationPrefixRel]) this.queueByPrefix[stationPrefixRel] = { entries: [], turn: null };
+        const q = this.queueByPrefix[stationPrefixRel];
+        if (q.entries.some((e) => e.label === label)) return false;
+
+        q.entries.push({ label, joinedAt: new Date().toISOString() });
+        this.recordEvent('queueJoin', { station: stationPrefixRel, label, position: q.entries.length });
+        this.log.info(`Warteschlange ${stationPrefixRel}: ${label} eingereiht (Platz ${q.entries.length})`);
+        await this.refreshStationQueue(stationPrefixRel);
+        return true;
+    }
+
+    async queueLeave(stationPrefixRel, value) {
+        const label = this.resolveChannelLabel(value) || String(value ?? '').trim();
+        const q = this.queueByPrefix[stationPrefixRel];
+        if (!q || !q.entries.some((e) => e.label === label)) return false;
+
+        q.entries = q.entries.filter((e) => e.label !== label);
+        if (q.turn && q.turn.label === label) q.turn = null;
+        this.recordEvent('queueLeave', { station: stationPrefixRel, label });
+        this.log.info(`Warteschlange ${stationPrefixRel}: ${label} ausgetreten`);
+        await this.refreshStationQueue(stationPrefixRel);
+        return true;
+    }
+
+    async queueClaim(stationPrefixRel, value) {
+        const label = this.resolveChannelLabel(value) || String(value ?? '').trim();
+        const q = this.queueByPrefix[stationPrefixRel];
+        if (!q || !q.turn || q.turn.label !== label) {
+            this.log.info(`Warteschlange ${stationPrefixRel}: ${label || '?'} ist nicht an der Reihe`);
+            return false;
+        }
 
-            const candidates = [
-                station,
-                prefix,
-                prefixTail
-            ]
-                .map(normalize)
-                .filter(Boolean);
+        const freeSt = await this.getStateAsync(`${stationPrefixRel}.freePorts`).catch(() => null);
+        q.entries = q.entries.filter((e) => e.label !== label);
+        q.turn = null;
+        q.claimed = { label, until: Date.now() + this.queueClaimTimeoutMin * 60 * 1000, freePorts: Number(freeSt?.val) || 0 };
+        this.recordEvent('queueClaim', { station: stationPrefixRel, label });
+        this.log.info(`Warteschlange ${stationPrefixRel}: ${label} hat übernommen`);
+        await this.saveNotifyState();
+        await this.writeQueueStates(stationPrefixRel);
+        return true;
+    }
 
-            return candidates.includes(normSub);
+    async refreshStationQueue(stationPrefixRel) {
+        // re-evaluate with the last known station states (after join/leave and on the minute tick)
+        const info = this.stationInfoByPrefix[stationPrefixRel] || {};
+        const [freeSt, countSt] = await Promise.all([
+            this.getStateAsync(`${stationPrefixRel}.freePorts`).catch(() => null),
+            this.getStateAsync(`${stationPrefixRel}.portCount`).catch(() => null),
+        ]);
+        await this.updateStationQueue(stationPrefixRel, {
+            station: info.name || stationPrefixRel.split('.').pop(),
+            city: info.city || stationPrefixRel.split('.')[1] || '',
+            freePorts: Number(freeSt?.val) || 0,
+            portCount: Number(countSt?.val) || 0,
         });
-
-        return hasSubs;
     }
 
-    async attemptNotifyForStation({ stationPrefixRel, city, stationName, freePorts, portCount, reason }) {
-        const meta = this.getNotifyMeta(stationPrefixRel);
+    async checkQueueTurns() {
+        const now = Date.now();
+        for (const [prefix, q] of Object.entries(this.queueByPrefix)) {
+            // queues of stations whose queue was switched off (or that are gone) stay as they are
+            if (!this.stationInfoByPrefix[prefix]?.queueEnabled) continue;
+            if (q.turn && q.turn.expiresAt <= now) await this.refreshStationQueue(prefix);
+        }
+    }
 
-        const posKey = this.getCarPosKey();
+    isQueueRecipientActive(stationPrefixRel, label) {
+        // queue messages follow the schedule of the recipient's subscriptions for the station, without one they are always active
+        const wanted = String(label).toLowerCase();
+        const subs = this.getMatchingSubscriptions(stationPrefixRel, this.stationInfoByPrefix[stationPrefixRel]?.name)
+            .filter((s) => String(s.recipient || '').trim().toLowerCase() === wanted);
+        return !subs.length || subs.some((s) => this.isSubscriptionActive(s));
+    }
 
-        // Reset notified when station is not free anymore
-        if (!(Number(freePorts) > 0)) {
-            meta.notifiedPosKey = null;
-            return;
+    async updateStationQueue(stationPrefixRel, ctx) {
+        const q = this.queueByPrefix[stationPrefixRel];
+        if (!q || !q.entries.length) {
+            await this.writeQueueStates(stationPrefixRel);
+            return false;
         }
 
-        // Require a stable car position (needed for distance filter + "notify again only after position changed")
-        if (!posKey) return;
-
-        // Only one notification per free phase AND car position key
-        if (meta.notifiedPosKey && meta.notifiedPosKey === posKey) return;
+        const now = Date.now();
+        if (q.claimed) {
+            if (Number(ctx.freePorts) >= q.claimed.freePorts && q.claimed.until > now) {
+                // the claimed port still shows as free until the claimant plugs in
+                await this.writeQueueStates(stationPrefixRel);
+                return true;
+            }
+            q.claimed = null;
+            await this.saveNotifyState();
+        }
+        if (!(Number(ctx.freePorts) > 0)) {
+            // somebody else took the port: the first in line keeps the place for the next free port
+            if (q.turn) {
+                this.log.debug(`Warteschlange ${stationPrefixRel}: Station wieder belegt, Runde von ${q.turn.label} zurückgestellt`);
+                q.turn = null;
+                await this.saveNotifyState();
+            }
+            await this.writeQueueStates(stationPrefixRel);
+            return true;
+        }
 
-        // Station toggle OR subscriptions decide whether station is relevant
-        const notifyState = await this.getStateAsync(`${stationPrefixRel}.notifyOnAvailable`).catch(() => null);
-        const notifyEnabled = notifyState?.val === true;
-        const hasSubs = this.stationHasNotifyTarget(stationPrefixRel, stationName);
+        const vars = await this.getStationMessageVars(stationPrefixRel, { ...ctx, minutes: this.queueClaimTimeoutMin });
+        if (q.turn && q.turn.expiresAt <= now) {
+            const expired = q.turn.label;
+            q.entries = q.entries.filter((e) => e.label !== expired);
+            q.turn = null;
+            this.recordEvent('queueExpired', { station: stationPrefixRel, label: expired });
+            this.log.info(`Warteschlange ${stationPrefixRel}: Runde von ${expired} abgelaufen`);
+            if (this.isQuietTime() || !this.isQueueRecipientActive(stationPrefixRel, expired)) {
+                this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: expired, reason: this.isQuietTime() ? 'quietHours' : 'schedule', event: 'queueExpired' });
+            } else {
+                await this.sendMessageToChannels(this.formatMessage('queueExpired', vars), { ...vars, event: 'queueExpired', onlyLabel: expired });
+            }
+        }
 
-        // New rule: Station must have Notify enabled AND there must be at least one matching subscription
-        if (!notifyEnabled || !hasSubs) return;
-
-        // Filters: SoC + distance must be determinable and pass
-        const f = await this.passesNotifyFilters(stationPrefixRel);
-        if (!f.ok) {
-            const reasons = [];
-            if (!f.socOk) reasons.push(`SoC nicht unter ${this.notifySocBelow}% (SoC=${f.soc ?? 'n/a'})`);
-            if (!f.distanceOk) reasons.push(`Distanz > ${this.notifyMaxDistanceM}m (dist=${f.distanceM ?? 'n/a'})`);
-            this.log.debug(`Notify übersprungen (${reason}): ${stationName} (${city}) – ${reasons.join(', ')}`);
-            return;
+        if (!q.turn && q.entries.length) {
+            if (this.isQuietTime()) {
+                // a turn offer cannot wait for the digest: nobody gets one until the quiet hours are over
+                this.log.debug(`Warteschlange ${stationPrefixRel}: Ruhezeit, keine Runde vergeben`);
+            } else {
+                // recipients outside their schedule keep their place, the turn goes to the next active one
+                const entry = q.entries.find((e) => this.isQueueRecipientActive(stationPrefixRel, e.label));
+                for (const e of q.entries) {
+                    if (e === entry) break;
+                    this.recordEvent('notifySkipped', { station: stationPrefixRel, recipient: e.label, reason: 'schedule', event: 'queueTurn' });
+                }
+                if (entry) {
+                    const next = entry.label;
+                    q.turn = { label: next, offeredAt: now, expiresAt: now + this.queueClaimTimeoutMin * 60 * 1000 };
+                    this.recordEvent('queueTurn', { station: stationPrefixRel, label: next });
+                    this.log.info(`Warteschlange ${stationPrefixRel}: ${next} ist an der Reihe`);
+                    await this.sendMessageToChannels(this.formatMessage('queueTurn', vars), { ...vars, event: 'queueTurn', onlyLabel: next, richTelegram: true, queueClaim: true });
+                }
+            }
         }
 
-        await this.notifySubscribers({ stationPrefixRel, city, stationName, freePorts, portCount, isTest: false });
-        meta.notifiedPosKey = posKey;
-        meta.lastSent = Date.now();
-        this.log.info(`Notify (${reason}): ${stationName} (${city}) freePorts=${freePorts}/${portCount} (SoC=${f.soc ?? 'n/a'}%, dist=${f.distanceM ?? 'n/a'}m)`);
+        await this.saveNotifyState();
+        await this.writeQueueStates(stationPrefixRel);
+        return true;
     }
 
     
@@ -1300,9 +3587,69 @@ class CptAdapter extends utils.Adapter {
             common: { name: 'Entfernung (m)', type: 'number', role: 'value.distance', unit: 'm', read: true, write: false },
             native: {},
         });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.distance.etaMin`, {
+            type: 'state',
+            common: { name: 'Fahrzeit (min)', type: 'number', role: 'value.interval', unit: 'min', read: true, write: false },
+            native: {},
+        });
+        for (const vehicle of Object.values(this.vehicles)) {
+            const ch = `${stationPrefix}.distance.${vehicle.id}`;
+            await this.setObjectNotExistsAsync(ch, { type: 'channel', common: { name: `Entfernung ${vehicle.name}` }, native: {} });
+            await this.setObjectNotExistsAsync(`${ch}.km`, {
+                type: 'state',
+                common: { name: 'Entfernung (km)', type: 'number', role: 'value.distance', unit: 'km', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync(`${ch}.m`, {
+                type: 'state',
+                common: { name: 'Entfernung (m)', type: 'number', role: 'value.distance', unit: 'm', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync(`${ch}.etaMin`, {
+                type: 'state',
+                common: { name: 'Fahrzeit (min)', type: 'number', role: 'value.interval', unit: 'min', read: true, write: false },
+                native: {},
+            });
+        }
 
         await this.setObjectNotExistsAsync(`${stationPrefix}.ports`, { type: 'channel', common: { name: 'Ports' }, native: {} });
 
+        await this.setObjectNotExistsAsync(`${stationPrefix}.stats`, { type: 'channel', common: { name: 'Statistik' }, native: {} });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.stats.sessionsToday`, {
+            type: 'state',
+            common: { name: 'Ladevorgänge heute', type: 'number', role: 'value', read: true, write: false },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.stats.avgSessionMin`, {
+            type: 'state',
+            common: { name: 'Durchschnittliche Belegung (Minuten)', type: 'number', role: 'value.interval', unit: 'min', read: true, write: false },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.stats.occupancyPct24h`, {
+            type: 'state',
+            common: { name: 'Auslastung letzte 24h', type: 'number', role: 'value', unit: '%', read: true, write: false },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${stationPrefix}.notify`, { type: 'channel', common: { name: 'Benachrichtigung' }, native: {} });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.notify.nextAllowedAt`, {
+            type: 'state',
+            common: { name: 'Nächste Benachrichtigung erlaubt ab', type: 'string', role: 'date', read: true, write: false },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${stationPrefix}.forecast`, { type: 'channel', common: { name: 'Prognose' }, native: {} });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.forecast.freeProbabilityNextHour`, {
+            type: 'state',
+            common: { name: 'Wahrscheinlichkeit frei (nächste Stunde)', type: 'number', role: 'value', unit: '%', read: true, write: false },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync(`${stationPrefix}.forecast.likelyFreeAt`, {
+            type: 'state',
+            common: { name: 'Voraussichtlich frei ab', type: 'string', role: 'date', read: true, write: false },
+            native: {},
+        });
+
         await this.setStateAsync(`${stationPrefix}.name`, { val: String(station.name || ''), ack: true });
         await this.setStateAsync(`${stationPrefix}.city`, { val: String(cityName || ''), ack: true });
         await this.setStateAsync(`${stationPrefix}.deviceId1`, { val: String(station.deviceId1 ?? ''), ack: true });
@@ -1310,7 +3657,7 @@ class CptAdapter extends utils.Adapter {
         await this.setStateAsync(`${stationPrefix}.enabled`, { val: !!station.enabled, ack: true });
         const curDistanceType = await this.getStateAsync(`${stationPrefix}.distanceType`).catch(() => null);
         if (!curDistanceType || curDistanceType.val === null || curDistanceType.val === undefined || curDistanceType.val === '') {
-            await this.setStateAsync(`${stationPrefix}.distanceType`, { val: this.getTomTomEnabled() ? 'tomtom' : 'airline', ack: true });
+            await this.setStateAsync(`${stationPrefix}.distanceType`, { val: this.getRoutingProvider()?.id || 'airline', ack: true });
         }
 
         // default valid=true; will be updated on poll based on real API data
@@ -1323,6 +3670,35 @@ class CptAdapter extends utils.Adapter {
         if (!curNotify || curNotify.val === null || curNotify.val === undefined) {
             await this.setStateAsync(`${stationPrefix}.notifyOnAvailable`, { val: !!station.notifyOnAvailable, ack: true });
         }
+
+        if (station.queueEnabled) {
+            await this.setObjectNotExistsAsync(`${stationPrefix}.queue`, { type: 'channel', common: { name: 'Warteschlange' }, native: {} });
+            const queueStates = [
+                ['join', { name: 'Einreihen (Kanal-Bezeichnung)', type: 'string', role: 'text', read: true, write: true }],
+                ['leave', { name: 'Austreten (Kanal-Bezeichnung)', type: 'string', role: 'text', read: true, write: true }],
+                ['claim', { name: 'Übernehmen (Kanal-Bezeichnung)', type: 'string', role: 'text', read: true, write: true }],
+                ['json', { name: 'Warteschlange (JSON)', type: 'string', role: 'json', read: true, write: false, def: '[]' }],
+                ['length', { name: 'Anzahl Wartende', type: 'number', role: 'value', read: true, write: false, def: 0 }],
+                ['current', { name: 'An der Reihe', type: 'string', role: 'text', read: true, write: false, def: '' }],
+                ['turnExpiresAt', { name: 'Runde läuft ab', type: 'string', role: 'date', read: true, write: false, def: '' }],
+            ];
+            for (const [id, common] of queueStates) {
+                await this.setObjectNotExistsAsync(`${stationPrefix}.queue.${id}`, { type: 'state', common, native: {} });
+            }
+        }
+    }
+
+    async updateFreePortsByPlug(stationPrefix, freeByPlug) {
+        if (!Object.keys(freeByPlug).length) return;
+        await this.setObjectNotExistsAsync(`${stationPrefix}.freePortsByPlug`, { type: 'channel', common: { name: 'Freie Ladepunkte je Stecker' }, native: {} });
+        for (const [plug, count] of Object.entries(freeByPlug)) {
+            await this.setObjectNotExistsAsync(`${stationPrefix}.freePortsByPlug.${plug}`, {
+                type: 'state',
+                common: { name: `Freie Ladepunkte ${plug}`, type: 'number', role: 'value', read: true, write: false },
+                native: {},
+            });
+            await this.updateStateIfChanged(`${stationPrefix}.freePortsByPlug.${plug}`, count);
+        }
     }
 
     async ensurePortObjects(stationPrefix, outletNumber) {
@@ -1336,6 +3712,7 @@ class CptAdapter extends utils.Adapter {
             ['maxPowerKw', { name: 'Max Power', type: 'number', role: 'value.power', unit: 'kW' }],
             ['displayPlugType', { name: 'Plug', type: 'string', role: 'text' }],
             ['lastUpdate', { name: 'Letztes Update', type: 'string', role: 'date' }],
+            ['statusAgeMin', { name: 'Minuten im aktuellen Status', type: 'number', role: 'value.interval', unit: 'min' }],
         ];
 
         for (const [id, common] of states) {
@@ -1347,18 +3724,71 @@ class CptAdapter extends utils.Adapter {
 
     // ---------- ChargePoint API ----------
 
-    async safeFetch(deviceId) {
+    async safeFetch(deviceId, provider = this.providers.chargepoint) {
+        const key = `${provider.id}:${deviceId}`;
+        const backoff = this.fetchBackoffByDeviceId[key];
+        if (this.isFetchBackedOff(deviceId, provider)) {
+            this.log.debug(`Fetch übersprungen für deviceId=${deviceId} (Backoff noch ${Math.ceil((backoff.nextTryTs - Date.now()) / 1000)}s)`);
+            return null;
+        }
+
         try {
-            const url = `https://mc.chargepoint.com/map-prod/v3/station/info?deviceId=${deviceId}`;
-            this.log.debug(`GET ${url}`);
-            const res = await axios.get(url, { timeout: 12000 });
-            return res.data || {};
+            const data = await provider.fetchDevice(deviceId);
+            if (backoff) {
+                delete this.fetchBackoffByDeviceId[key];
+                this.log.info(`Fetch für deviceId=${deviceId} wieder erfolgreich`);
+            }
+            return data;
         } catch (e) {
-            this.log.warn(`Fetch fehlgeschlagen für deviceId=${deviceId}: ${e.message}`);
+            const failures = (backoff ? backoff.failures : 0) + 1;
+            // exponential backoff with jitter (50-100% of the nominal delay) so failing IDs do not retry in lockstep
+            const nominal = Math.min(this.fetchBackoffBaseMs * Math.pow(2, failures - 1), this.fetchBackoffMaxMs);
+            const delayMs = Math.round(nominal * (0.5 + Math.random() * 0.5));
+            this.fetchBackoffByDeviceId[key] = { failures, nextTryTs: Date.now() + delayMs };
+            this.recordEvent('pollError', { provider: provider.id, deviceId: String(deviceId), error: e.message, failures });
+            this.log.warn(`Fetch fehlgeschlagen für deviceId=${deviceId}: ${e.message} (Versuch ${failures}, nächster in ${Math.round(delayMs / 1000)}s)`);
             return null;
         }
     }
 
+    isFetchBackedOff(deviceId, provider) {
+        const backoff = this.fetchBackoffByDeviceId[`${provider.id}:${deviceId}`];
+        return !!(backoff && backoff.nextTryTs > Date.now());
+    }
+
+    async fetchStationsData(stations) {
+        // fetch all device IDs with bounded concurrency; result keeps the order of `stations`
+        const jobs = [];
+        for (const st of stations) {
+            const provider = this.getProvider(st.provider);
+            jobs.push({ provider, deviceId: st.deviceId1 });
+            if (st.deviceId2) jobs.push({ provider, deviceId: st.deviceId2 });
+        }
+        const results = await runWithConcurrency(jobs, this.pollConcurrency, (job) => {
+            // checked right before safeFetch does the same, a device ID in backoff is not asked at all
+            job.skipped = this.isFetchBackedOff(job.deviceId, job.provider);
+            return this.safeFetch(job.deviceId, job.provider);
+        });
+
+        const byKey = new Map();
+        const skippedKeys = new Set();
+        jobs.forEach((job, idx) => {
+            const key = `${job.provider.id}:${job.deviceId}`;
+            byKey.set(key, results[idx]);
+            if (job.skipped) skippedKeys.add(key);
+        });
+        return stations.map((st) => {
+            const providerId = this.getProvider(st.provider).id;
+            const keys = [`${providerId}:${st.deviceId1}`, ...(st.deviceId2 ? [`${providerId}:${st.deviceId2}`] : [])];
+            return {
+                data1: byKey.get(keys[0]) ?? null,
+                data2: st.deviceId2 ? (byKey.get(keys[1]) ?? null) : null,
+                // false when every device ID of the station was skipped because of its backoff
+                attempted: keys.some((key) => !skippedKeys.has(key)),
+            };
+        });
+    }
+
     buildLogicalPorts(data1, data2, hasSecondId) {
         if (hasSecondId) {
             const p1 = data1?.portsInfo?.ports?.[0] || {};
@@ -1391,6 +3821,7 @@ class CptAdapter extends utils.Adapter {
                 await this.updateStateIfChanged(`${portPrefix}.maxPowerKw`, null);
                 await this.setStateAsync(`${portPrefix}.lastUpdate`, { val: new Date().toISOString(), ack: true });
                 delete this.lastPortStatusByKey[`${stationPrefix}|${n}`];
+                delete this.openSessionsByKey[`${stationPrefix}|${n}`];
                 this.log.debug(`Bereinige veralteten Portstatus: ${portPrefix}`);
             }
         } catch (e) {
@@ -1398,11 +3829,229 @@ class CptAdapter extends utils.Adapter {
         }
     }
 
+    // ---------- Session history ----------
+
+    async loadSessionHistory() {
+        try {
+            const res = await this.readFileAsync(this.namespace, this.sessionHistoryFile);
+            const raw = res && res.file !== undefined ? res.file : res;
+            const data = raw ? JSON.parse(raw.toString()) : null;
+            this.sessionHistory = Array.isArray(data?.sessions) ? data.sessions : [];
+            this.openSessionsByKey = (data?.open && typeof data.open === 'object') ? data.open : {};
+            this.log.debug(`Session-Historie geladen: ${this.sessionHistory.length} Ladevorgänge, ${Object.keys(this.openSessionsByKey).length} offen`);
+        } catch (e) {
+            // file does not exist on first start
+            this.log.debug(`Session-Historie nicht geladen: ${e.message}`);
+            this.sessionHistory = [];
+            this.openSessionsByKey = {};
+        }
+    }
+
+    async saveSessionHistory() {
+        if (!this.sessionHistoryDirty) return;
+        const minEnd = Date.now() - this.sessionHistoryDays * 24 * 60 * 60 * 1000;
+        this.sessionHistory = this.sessionHistory.filter((s) => s && Number(s.end) >= minEnd);
+        try {
+            await this.writeFileAsync(this.namespace, this.sessionHistoryFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                sessions: this.sessionHistory,
+                open: this.openSessionsByKey,
+            }));
+            this.sessionHistoryDirty = false;
+        } catch (e) {
+            this.log.warn(`Konnte Session-Historie nicht schreiben: ${e.message}`);
+        }
+    }
+
+    trackPortSession({ cacheKey, stationPrefix, stationName, city, outletNumber, prevStatus, curStatus, evseId, maxPowerKw }) {
+        const now = Date.now();
+        const open = this.openSessionsByKey[cacheKey];
+
+        if (isOccupiedStatus(curStatus)) {
+            // start only on an observed transition; after a restart we do not know when the port got occupied
+            if (!open && prevStatus !== undefined && !isOccupiedStatus(prevStatus)) {
+                this.openSessionsByKey[cacheKey] = {
+                    start: now,
+                    evseId: evseId || '',
+                    maxPowerKw: Number.isFinite(maxPowerKw) ? maxPowerKw : null,
+                };
+                this.sessionHistoryDirty = true;
+                this.log.debug(`Ladevorgang gestartet: ${stationName} P${outletNumber}`);
+            }
+            return;
+        }
+
+        if (!open) return;
+
+        const durationMin = Math.round(((now - open.start) / 60000) * 10) / 10;
+        this.sessionHistory.push({
+            stationPrefix,
+            station: stationName,
+            city,
+            outlet: outletNumber,
+            evseId: open.evseId || evseId || '',
+            maxPowerKw: open.maxPowerKw ?? (Number.isFinite(maxPowerKw) ? maxPowerKw : null),
+            start: open.start,
+            end: now,
+            durationMin,
+        });
+        delete this.openSessionsByKey[cacheKey];
+        this.sessionHistoryDirty = true;
+        this.log.debug(`Ladevorgang beendet: ${stationName} P${outletNumber} nach ${durationMin} min`);
+    }
+
+    async updateSessionStats(stationPrefix, portCount) {
+        const now = Date.now();
+        const dayStart = new Date();
+        dayStart.setHours(0, 0, 0, 0);
+        const windowStart = now - 24 * 60 * 60 * 1000;
+
+        const closed = this.sessionHistory.filter((s) => s && s.stationPrefix === stationPrefix);
+        const open = Object.entries(this.openSessionsByKey)
+            .filter(([key]) => key.startsWith(`${stationPrefix}|`))
+            .map(([, s]) => ({ start: s.start, end: now }));
+
+        const sessionsToday = [...closed, ...open].filter((s) => s.start >= dayStart.getTime()).length;
+        const avgSessionMin = closed.length
+            ? Math.round((closed.reduce((acc, s) => acc + Number(s.durationMin || 0), 0) / closed.length) * 10) / 10
+            : null;
+
+        let occupiedMs = 0;
+        for (const s of [...closed, ...open]) {
+            const from = Math.max(Number(s.start), windowStart);
+            const to = Math.min(Number(s.end), now);
+            if (to > from) occupiedMs += to - from;
+        }
+        const occupancyPct24h = portCount > 0
+            ? Math.min(100, Math.round((occupiedMs / (24 * 60 * 60 * 1000 * portCount)) * 1000) / 10)
+            : null;
+
+        await this.updateStateIfChanged(`${stationPrefix}.stats.sessionsToday`, sessionsToday);
+        await this.updateStateIfChanged(`${stationPrefix}.stats.avgSessionMin`, avgSessionMin);
+        await this.updateStateIfChanged(`${stationPrefix}.stats.occupancyPct24h`, occupancyPct24h);
+    }
+
+    // ---------- Occupancy forecast ----------
+
+    async loadForecastModel() {
+        try {
+            const res = await this.readFileAsync(this.namespace, this.forecastFile);
+            const raw = res && res.file !== undefined ? res.file : res;
+            const data = raw ? JSON.parse(raw.toString()) : null;
+            this.forecastByStation = (data?.stations && typeof data.stations === 'object') ? data.stations : {};
+            this.log.debug(`Belegungsmodell geladen: ${Object.keys(this.forecastByStation).length} Station(en)`);
+        } catch (e) {
+            // file does not exist on first start
+            this.log.debug(`Belegungsmodell nicht geladen: ${e.message}`);
+            this.forecastByStation = {};
+        }
+    }
+
+    async saveForecastModel() {
+        if (!this.forecastDirty) return;
+        try {
+            await this.writeFileAsync(this.namespace, this.forecastFile, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                stations: this.forecastByStation,
+            }));
+            this.forecastDirty = false;
+        } catch (e) {
+            this.log.warn(`Konnte Belegungsmodell nicht schreiben: ${e.message}`);
+        }
+    }
+
+    getForecastBucketKey(date) {
+        return `${date.getDay()}-${date.getHours()}`;
+    }
+
+    recordForecastSample(stationPrefix, isFree, date = new Date()) {
+        if (!this.forecastByStation[stationPrefix]) this.forecastByStation[stationPrefix] = {};
+        const buckets = this.forecastByStation[stationPrefix];
+        const key = this.getForecastBucketKey(date);
+        const b = buckets[key] || { n: 0, free: 0 };
+        b.n++;
+        if (isFree) b.free++;
+        // halve old observations so the model follows changed habits (e.g. new neighbours)
+        if (b.n > 400) {
+            b.n = Math.round(b.n / 2);
+            b.free = Math.round(b.free / 2);
+        }
+        buckets[key] = b;
+        this.forecastDirty = true;
+    }
+
+    getFreeProbability(stationPrefix, date) {
+        const b = this.forecastByStation[stationPrefix]?.[this.getForecastBucketKey(date)];
+        if (!b || b.n < this.forecastMinSamples) return null;
+        return Math.round((b.free / b.n) * 1000) / 10;
+    }
+
+    async updateStationForecast(stationPrefix, freePorts) {
+        const now = new Date();
+        const nextHour = new Date(now.getTime() + 60 * 60 * 1000);
+        const freeProbabilityNextHour = this.getFreeProbability(stationPrefix, nextHour);
+
+        let likelyFreeAt = '';
+        if (Number(freePorts) > 0) {
+            likelyFreeAt = now.toISOString();
+        } else {
+            // walk the upcoming 24 full hours and take the first one that is usually free
+            const t = new Date(now);
+            t.setMinutes(0, 0, 0);
+            for (let h = 1; h <= 24; h++) {
+                t.setHours(t.getHours() + 1);
+                const p = this.getFreeProbability(stationPrefix, t);
+                if (p !== null && p >= this.forecastFreeThresholdPct) {
+                    likelyFreeAt = t.toISOString();
+                    break;
+                }
+            }
+        }
+
+        await this.updateStateIfChanged(`${stationPrefix}.forecast.freeProbabilityNextHour`, freeProbabilityNextHour);
+        await this.updateStateIfChanged(`${stationPrefix}.forecast.likelyFreeAt`, likelyFreeAt);
+    }
+
+    async runPoll(stations, reason = '') {
+        // guard: never run two polls at the same time (interval tick vs. manual refresh vs. slow API)
+        if (this.pollRunning) {
+            this.log.debug(`Poll übersprungen (${reason}): vorheriger Poll läuft noch`);
+            return false;
+        }
+        this.pollRunning = true;
+        const startTs = Date.now();
+        try {
+            await this.updateAllStations(stations);
+        } catch (e) {
+            this.recordEvent('pollError', { reason, error: e.message });
+            throw e;
+        } finally {
+            this.pollRunning = false;
+            const durationMs = Date.now() - startTs;
+            await this.setStateAsync('tools.lastPollDurationMs', { val: durationMs, ack: true });
+            this.log.debug(`Poll (${reason}) beendet in ${durationMs} ms`);
+        }
+        return true;
+    }
+
     async updateAllStations(stations) {
         const currentPrefixes = new Set();
-        for (const st of stations) {
-            const data1 = await this.safeFetch(st.deviceId1);
-            const data2 = st.deviceId2 ? await this.safeFetch(st.deviceId2) : null;
+        const fetched = await this.fetchStationsData(stations);
+        // one matrix request for all station distances, the per-station calls below hit the cache
+        await this.prefetchStationDistances(fetched.map(({ data1, data2 }) => this.extractGps(data1, data2)).filter(Boolean));
+        for (let idx = 0; idx < stations.length; idx++) {
+            const st = stations[idx];
+            const { data1, data2, attempted } = fetched[idx];
+
+            // keep the last known tree while the API does not answer, otherwise the station would move to "unbekannt"
+            const unreachable = !data1 && (!st.deviceId2 || !data2);
+            const knownPrefix = this.stationPrefixByName[st.name];
+            if (unreachable && knownPrefix && st.enabled !== false) {
+                currentPrefixes.add(knownPrefix);
+                // a poll that skipped the station because of the fetch backoff is no failed poll
+                if (attempted) await this.updateStationHealth(knownPrefix, { reachable: false, stationName: st.name });
+                continue;
+            }
 
             const city = this.pickCity(data1, data2);
             const cityKey = this.makeSafeName(city) || 'unbekannt';
@@ -1411,15 +4060,18 @@ class CptAdapter extends utils.Adapter {
             currentPrefixes.add(stationPrefix);
 
             this.stationPrefixByName[st.name] = stationPrefix;
-            if (st.deviceId1 !== undefined && st.deviceId1 !== null) this.stationPrefixByDeviceId[String(st.deviceId1)] = stationPrefix;
-            if (st.deviceId2 !== undefined && st.deviceId2 !== null) this.stationPrefixByDeviceId[String(st.deviceId2)] = stationPrefix;
+            // the nearest search uses the ChargePoint map, so only ChargePoint device IDs can be matched
+            if (this.getProvider(st.provider).id === 'chargepoint') {
+                if (st.deviceId1 !== undefined && st.deviceId1 !== null) this.stationPrefixByDeviceId[String(st.deviceId1)] = stationPrefix;
+                if (st.deviceId2 !== undefined && st.deviceId2 !== null) this.stationPrefixByDeviceId[String(st.deviceId2)] = stationPrefix;
+            }
 
             await this.ensureCityChannel(`stations.${cityKey}`, city);
             await this.ensureStationObjects(stationPrefix, st, city);
 
                         // remember station prefixes for car-trigger notifications
             if (!this.stationPrefixes.includes(stationPrefix)) this.stationPrefixes.push(stationPrefix);
-            this.stationInfoByPrefix[stationPrefix] = { city, name: st.name };
+            this.stationInfoByPrefix[stationPrefix] = { city, name: st.name, queueEnabled: !!st.queueEnabled };
 
             const gps = this.extractGps(data1, data2);
             if (gps) {
@@ -1444,6 +4096,11 @@ class CptAdapter extends utils.Adapter {
             const portCount = st.deviceId2 ? 2 : ports.length;
             const freePorts = ports.reduce((acc, p) => acc + (this.normalizeStatus(p?.statusV2 || p?.status) === 'available' ? 1 : 0), 0);
             const derived = this.deriveStationStatusFromPorts(ports);
+            const prevDerived = this.lastDerivedStatusByPrefix[stationPrefix];
+            if (STATION_FAULT_STATUSES.includes(derived) && prevDerived !== derived) {
+                this.recordEvent('stationFault', { station: stationPrefix, status: derived, previous: prevDerived ?? null });
+            }
+            this.lastDerivedStatusByPrefix[stationPrefix] = derived;
 
             // validity check: hide stations with incomplete base data (e.g. missing city/gps/ports)
             const cityName = String(city || '').trim();
@@ -1465,6 +4122,9 @@ class CptAdapter extends utils.Adapter {
 
 
             let anyPortBecameAvailable = false;
+            const newlyFreePorts = [];
+            const freePortInfos = [];
+            const freeByPlug = {};
 
             await this.updateStateIfChanged(`${stationPrefix}.portCount`, portCount);
             await this.updateStateIfChanged(`${stationPrefix}.freePorts`, freePorts);
@@ -1482,27 +4142,71 @@ class CptAdapter extends utils.Adapter {
                 const curStatusNorm = this.normalizeStatus(port?.statusV2 || port?.status);
                 const cacheKey = `${stationPrefix}|${outletNumber}`;
                 const prevStatusNorm = this.lastPortStatusByKey[cacheKey];
-                if (prevStatusNorm !== undefined && prevStatusNorm !== 'available' && curStatusNorm === 'available') {
-                    anyPortBecameAvailable = true;
+                const becameAvailable = prevStatusNorm !== undefined && prevStatusNorm !== 'available' && curStatusNorm === 'available';
+                if (becameAvailable) anyPortBecameAvailable = true;
+                if (prevStatusNorm !== undefined && prevStatusNorm !== curStatusNorm) {
+                    this.recordEvent('portChange', { station: stationPrefix, outlet: outletNumber, from: prevStatusNorm, to: curStatusNorm });
                 }
                 this.lastPortStatusByKey[cacheKey] = curStatusNorm;
 
                 const connector0 = Array.isArray(port.connectorList) && port.connectorList.length ? port.connectorList[0] : null;
                 const displayPlugType = connector0?.displayPlugType ? String(connector0.displayPlugType) : '';
+                const evseId = port.evseId ? String(port.evseId) : '';
+                const prMax = port?.powerRange?.max;
+                const maxPowerKw = typeof prMax === 'number' ? prMax : prMax !== undefined ? Number(prMax) : NaN;
+
+                const plugKey = normalizePlugType(displayPlugType);
+                if (plugKey && freeByPlug[plugKey] === undefined) freeByPlug[plugKey] = 0;
+                if (curStatusNorm === 'available') {
+                    const info = { outlet: outletNumber, plug: plugKey, kw: Number.isFinite(maxPowerKw) ? maxPowerKw : null };
+                    if (plugKey) freeByPlug[plugKey]++;
+                    freePortInfos.push(info);
+                    if (becameAvailable) newlyFreePorts.push(info);
+                }
+
+                // record occupied phases as charging sessions
+                this.trackPortSession({
+                    cacheKey,
+                    stationPrefix,
+                    stationName: st.name,
+                    city,
+                    outletNumber,
+                    prevStatus: prevStatusNorm,
+                    curStatus: curStatusNorm,
+                    evseId,
+                    maxPowerKw,
+                });
 
                 await this.updateStateIfChanged(`${portPrefix}.status`, port.status || 'unknown');
                 await this.updateStateIfChanged(`${portPrefix}.statusV2`, port.statusV2 || 'unknown');
-                await this.updateStateIfChanged(`${portPrefix}.evseId`, port.evseId ? String(port.evseId) : '');
+                await this.updateStateIfChanged(`${portPrefix}.evseId`, evseId);
 
-                const prMax = port?.powerRange?.max;
-                const maxPowerKw = typeof prMax === 'number' ? prMax : prMax !== undefined ? Number(prMax) : NaN;
                 if (!Number.isNaN(maxPowerKw)) await this.updateStateIfChanged(`${portPrefix}.maxPowerKw`, maxPowerKw);
 
                 await this.updateStateIfChanged(`${portPrefix}.displayPlugType`, displayPlugType);
                 await this.setStateAsync(`${portPrefix}.lastUpdate`, { val: new Date().toISOString(), ack: true });
+
+                await this.updatePortOccupancy({ cacheKey, portPrefix, stationPrefix, stationName: st.name, city, outletNumber, curStatus: curStatusNorm });
             }
 
             await this.cleanupObsoletePortStates(stationPrefix, portCount);
+            await this.updateSessionStats(stationPrefix, portCount);
+            await this.updateFreePortsByPlug(stationPrefix, freeByPlug);
+            this.freePortsByPrefix[stationPrefix] = freePortInfos;
+
+            if (Date.now() - (this.forecastLastSampleTs[stationPrefix] || 0) >= this.forecastSampleGapMs) {
+                this.forecastLastSampleTs[stationPrefix] = Date.now();
+                this.recordForecastSample(stationPrefix, freePorts > 0);
+            }
+            await this.updateStationForecast(stationPrefix, freePorts);
+            await this.updateNotifyNextAllowed(stationPrefix, st.name);
+
+            if (!unreachable || attempted) await this.updateStationHealth(stationPrefix, { reachable: !unreachable, stationName: st.name, city, derived, freePorts, portCount });
+            if (st.queueEnabled) await this.updateStationQueue(stationPrefix, { station: st.name, city, freePorts, portCount });
+
+            if (freePorts === 0) {
+                await this.notifyStationOccupied(stationPrefix, { station: st.name, city, freePorts, portCount });
+            }
 
             // notify logic: when any port transitions to "available"
             if (anyPortBecameAvailable) {
@@ -1512,6 +4216,7 @@ class CptAdapter extends utils.Adapter {
                     stationName: st.name,
                     freePorts,
                     portCount,
+                    ports: newlyFreePorts,
                     reason: 'portAvailable',
                 });
             }
@@ -1521,6 +4226,10 @@ class CptAdapter extends utils.Adapter {
             this.log.debug(`Aktualisiert: ${st.name} city=${city} freePorts=${freePorts}/${portCount} derived=${derived}`);
         }
 
+        await this.saveSessionHistory();
+        await this.saveForecastModel();
+        await this.saveRouteCache();
+
         this.scheduleVisHtmlUpdate('poll finished');
         this.scheduleNearestType2Update('poll finished');
         // remove objects for stations that were removed from config
@@ -1531,12 +4240,14 @@ class CptAdapter extends utils.Adapter {
     async updateDistanceForStation(stationPrefixRel, gps) {
         try {
             if (!gps || gps.lat === undefined || gps.lon === undefined) return;
+            for (const vehicle of Object.values(this.vehicles)) await this.updateVehicleDistanceForStation(stationPrefixRel, gps, vehicle);
             const latCar = this.carLat;
             const lonCar = this.carLon;
             if (typeof latCar !== 'number' || typeof lonCar !== 'number') {
                 // clear distance if previously set
                 await this.updateStateIfChanged(`${stationPrefixRel}.distance.km`, null);
                 await this.updateStateIfChanged(`${stationPrefixRel}.distance.m`, null);
+                await this.updateStateIfChanged(`${stationPrefixRel}.distance.etaMin`, null);
                 await this.updateStateIfChanged(`${stationPrefixRel}.distanceType`, 'unknown');
                 return;
             }
@@ -1547,11 +4258,33 @@ class CptAdapter extends utils.Adapter {
             const kmRound = Math.round(km * 100) / 100;
             await this.updateStateIfChanged(`${stationPrefixRel}.distance.km`, kmRound);
             await this.updateStateIfChanged(`${stationPrefixRel}.distance.m`, Math.round(m));
+            await this.updateStateIfChanged(`${stationPrefixRel}.distance.etaMin`, travelTimeToMin(dist?.travelTimeSec));
             await this.updateDistanceSourceStates(String(dist?.source || 'airline'), stationPrefixRel);
         } catch (e) {
             this.log.debug(`Distanzberechnung fehlgeschlagen (${stationPrefixRel}): ${e.message}`);
         }
     }
+
+    async updateVehicleDistanceForStation(stationPrefixRel, gps, vehicle) {
+        const base = `${stationPrefixRel}.distance.${vehicle.id}`;
+        try {
+            if (!Number.isFinite(vehicle.lat) || !Number.isFinite(vehicle.lon)) {
+                await this.updateStateIfChanged(`${base}.km`, null);
+                await this.updateStateIfChanged(`${base}.m`, null);
+                await this.updateStateIfChanged(`${base}.etaMin`, null);
+                return;
+            }
+            const dist = await this.getDistanceInfo(vehicle.lat, vehicle.lon, Number(gps.lat), Number(gps.lon));
+            const km = Number(dist?.km);
+            const m = Number(dist?.m);
+            if (!Number.isFinite(km) || !Number.isFinite(m)) return;
+            await this.updateStateIfChanged(`${base}.km`, Math.round(km * 100) / 100);
+            await this.updateStateIfChanged(`${base}.m`, Math.round(m));
+            await this.updateStateIfChanged(`${base}.etaMin`, travelTimeToMin(dist?.travelTimeSec));
+        } catch (e) {
+            this.log.debug(`Distanzberechnung fehlgeschlagen (${stationPrefixRel}, ${vehicle.id}): ${e.message}`);
+        }
+    }
     
 async cleanupObsoleteStations(currentPrefixes) {
     // currentPrefixes: Set of rel station prefixes like "stations.<cityKey>.<stationKey>"
@@ -1570,6 +4303,10 @@ async cleanupObsoleteStations(currentPrefixes) {
             if (!currentPrefixes.has(relPrefix)) {
                 this.log.info(`Removing obsolete station objects: ${relPrefix}`);
                 await this.delObjectAsync(relPrefix, { recursive: true });
+                if (this.forecastByStation[relPrefix]) {
+                    delete this.forecastByStation[relPrefix];
+                    this.forecastDirty = true;
+                }
             }
         }
 
@@ -1607,9 +4344,11 @@ async cleanupObsoleteStations(currentPrefixes) {
 
 
 
-    async updateDistancesForAllStations() {
+    async updateDistancesForAllStations(vehicle = null) {
+        // with a vehicle only its distances are recalculated
         try {
             const list = await this.getStatesAsync(this.namespace + '.stations.*.*.gps.json');
+            const stations = [];
             for (const [id, st] of Object.entries(list || {})) {
                 const relPrefix = id.replace(this.namespace + '.', '').replace(/\.gps\.json$/, '');
                 let gps;
@@ -1618,8 +4357,14 @@ async cleanupObsoleteStations(currentPrefixes) {
                 } catch {
                     gps = null;
                 }
-                if (gps) await this.updateDistanceForStation(relPrefix, gps);
+                if (gps) stations.push({ relPrefix, gps });
             }
+            await this.prefetchStationDistances(stations.map((s) => s.gps), vehicle);
+            for (const { relPrefix, gps } of stations) {
+                if (vehicle) await this.updateVehicleDistanceForStation(relPrefix, gps, vehicle);
+                else await this.updateDistanceForStation(relPrefix, gps);
+            }
+            await this.saveRouteCache();
             this.scheduleVisHtmlUpdate('car distance change');
         } catch (e) {
             this.log.debug(`updateDistancesForAllStations fehlgeschlagen: ${e.message}`);
@@ -1637,6 +4382,7 @@ async cleanupObsoleteStations(currentPrefixes) {
                 if (!Number.isFinite(freePorts) || freePorts <= 0) {
                     // clear notify memory when station is not free
                     this.getNotifyMeta(prefix).notifiedPosKey = null;
+                    this.getNotifyMeta(prefix).notifiedPosKeyByVehicle = {};
                     continue;
                 }
 
@@ -1650,6 +4396,7 @@ async cleanupObsoleteStations(currentPrefixes) {
                     stationName: info.name || prefix.split('.').pop(),
                     freePorts,
                     portCount,
+                    ports: this.freePortsByPrefix[prefix],
                     reason,
                 });
             }
@@ -1688,7 +4435,7 @@ async cleanupObsoleteStations(currentPrefixes) {
     }
 
     scheduleNearestType2Update(reason = '') {
-        if (!isTrue(this.config.nearestType2Enabled)) return;
+        if (!this.getNearestProfiles().length) return;
         if (!Number.isFinite(this.carLat) || !Number.isFinite(this.carLon)) return;
         if (this.nearestTimer) clearTimeout(this.nearestTimer);
         this.nearestTimer = setTimeout(() => {
@@ -1747,13 +4494,37 @@ async cleanupObsoleteStations(currentPrefixes) {
         }
     }
 
+    renderNearestListHtml(raw, esc, badge) {
+        // ranked list of the nearest stations as collapsible block below the nearest card
+        let entries = [];
+        try {
+            entries = raw ? JSON.parse(raw) : [];
+        } catch {
+            entries = [];
+        }
+        if (!Array.isArray(entries) || entries.length < 2) return '';
+
+        const rows = entries.map((e, i) => {
+            const dist = e.distanceM !== null && e.distanceM !== undefined ? `${e.distanceM} m${formatEtaSuffix(e.etaMin)}` : '—';
+            const ports = e.freePorts !== null && e.portCount !== null ? `${e.freePorts}/${e.portCount} frei` : '—';
+            return `<div style="display:flex;justify-content:space-between;gap:8px;padding:4px 0;border-top:1px solid rgba(255,255,255,.08);">
+            <div style="min-width:0;"><div style="font-weight:700;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${i + 1}. ${esc(e.name)}</div><div style="opacity:.75;font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${esc(e.address)}</div></div>
+            <div style="flex:0 0 auto;display:flex;gap:6px;align-items:center;">${badge(dist, 'neutral')}${badge(ports, Number(e.freePorts) > 0 ? 'ok' : 'warn')}</div>
+          </div>`;
+        }).join('');
+        return `<details style="margin-top:8px;font-size:13px;"><summary style="cursor:pointer;opacity:.85;">Top ${entries.length} anzeigen</summary>${rows}</details>`;
+    }
+
     async writeVisHtmlMobileObject() {
         if (!this.visHtmlMobileEnabled) return;
         const id = this.visHtmlMobileObjectId;
 
         const stationsRoot = this.namespace + '.stations.';
         const stationStates = await this.getStatesAsync(stationsRoot + '*');
-        const nearestStates = await this.getStatesAsync(this.namespace + '.nearestType2.*');
+        const nearestStates = {
+            ...(await this.getStatesAsync(this.namespace + '.nearestType2.*')),
+            ...(await this.getStatesAsync(this.namespace + '.nearest.*')),
+        };
         const toolStates = await this.getStatesAsync(this.namespace + '.tools.*');
         const carStates = await this.getStatesAsync(this.namespace + '.car.*');
 
@@ -1843,17 +4614,17 @@ async cleanupObsoleteStations(currentPrefixes) {
     </div>
   </div>
 
-  ${this.shouldShowNearestType2Card() ? (() => {
-      const nName  = getVal('nearestType2.name') ?? '';
-      const nAddr  = getVal('nearestType2.address') ?? '';
-      const nDistM = getVal('nearestType2.distance.m');
-      const nFree  = getVal('nearestType2.freePorts');
-      const nPorts = getVal('nearestType2.portCount');
-      const nErr   = getVal('nearestType2.lastError') ?? '';
-      const nDistType = getVal('nearestType2.distanceType') ?? '';
+  ${this.shouldShowNearestType2Card() ? this.getNearestProfiles().map((profile) => {
+      const nName  = getVal(`${profile.channel}.name`) ?? '';
+      const nAddr  = getVal(`${profile.channel}.address`) ?? '';
+      const nDistM = getVal(`${profile.channel}.distance.m`);
+      const nFree  = getVal(`${profile.channel}.freePorts`);
+      const nPorts = getVal(`${profile.channel}.portCount`);
+      const nErr   = getVal(`${profile.channel}.lastError`) ?? '';
+      const nDistType = getVal(`${profile.channel}.distanceType`) ?? '';
 
       const has = !!String(nName).trim();
-      const distTxtRaw = (nDistM !== undefined && nDistM !== null && nDistM !== '') ? `${Math.round(Number(nDistM))} m` : '—';
+      const distTxtRaw = (nDistM !== undefined && nDistM !== null && nDistM !== '') ? `${Math.round(Number(nDistM))} m${formatEtaSuffix(getVal(`${profile.channel}.etaMin`))}` : '—';
       const distTxt = (nDistType === 'tomtom' && distTxtRaw !== '—') ? tomtomDistanceHtml(distTxtRaw) : esc(distTxtRaw);
       const portsTxt = (nFree !== undefined && nPorts !== undefined && nFree !== null && nPorts !== null && nFree !== '' && nPorts !== '') ? `${nFree}/${nPorts} frei` : '—';
 
@@ -1862,23 +4633,25 @@ async cleanupObsoleteStations(currentPrefixes) {
 
       const title = has ? esc(nName) : 'Keine Treffer';
       const addr = has ? esc(nAddr) : esc(nErr || 'Keine Station im Umkreis gefunden');
+      const listHtml = this.renderNearestListHtml(getVal(`${profile.channel}.listJson`), esc, badge);
 
       return `
-  <div style="border:1px solid rgba(255,255,255,.12);border-radius:14px;padding:12px;background:rgba(0,0,0,.18);">
+  <div style="border:1px solid rgba(255,255,255,.12);border-radius:14px;padding:12px;margin-bottom:10px;background:rgba(0,0,0,.18);">
     <div style="display:flex;justify-content:space-between;gap:10px;">
       <div style="min-width:0;">
-        <div style="font-weight:900;font-size:14px;">🧭 Nächste freie Typ2</div>
+        <div style="font-weight:900;font-size:14px;">🧭 ${esc(profile.title)}</div>
         <div style="margin-top:6px;font-size:15px;font-weight:900;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${title}</div>
         <div style="opacity:.85;font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${addr}</div>
         <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap;">
           ${badge(distTxt, 'neutral')}
           ${badge(portsTxt, statusKind)}
         </div>
+        ${listHtml}
       </div>
       <div style="flex:0 0 auto;">${badge(statusText, statusKind)}</div>
     </div>
   </div>`;
-  })() : ''}
+  }).join('') : ''}
 
   <div style="display:flex;flex-direction:column;gap:10px;">
 `;
@@ -1926,7 +4699,7 @@ async cleanupObsoleteStations(currentPrefixes) {
             let distanceText = '';
             if (distM !== undefined && distM !== null && distM !== '' && !Number.isNaN(Number(distM))) {
                 const dNum = Number(distM);
-                const dLabel = dNum >= 1000 ? `${(dNum / 1000).toFixed(2)} km` : `${Math.round(dNum)} m`;
+                const dLabel = (dNum >= 1000 ? `${(dNum / 1000).toFixed(2)} km` : `${Math.round(dNum)} m`) + formatEtaSuffix(getVal(p + '.distance.etaMin'));
                 distanceText = distanceType === 'tomtom' ? tomtomDistanceHtml(dLabel) : esc(dLabel);
             }
 
@@ -1990,7 +4763,10 @@ async cleanupObsoleteStations(currentPrefixes) {
 
         const stationsRoot = this.namespace + '.stations.';
         const stationStates = await this.getStatesAsync(stationsRoot + '*');
-        const nearestStates = await this.getStatesAsync(this.namespace + '.nearestType2.*');
+        const nearestStates = {
+            ...(await this.getStatesAsync(this.namespace + '.nearestType2.*')),
+            ...(await this.getStatesAsync(this.namespace + '.nearest.*')),
+        };
         const toolStates = await this.getStatesAsync(this.namespace + '.tools.*');
 
         const all = { ...(stationStates || {}), ...(nearestStates || {}), ...(toolStates || {}) };
@@ -2099,17 +4875,17 @@ async cleanupObsoleteStations(currentPrefixes) {
     </div>
   </div>
 
-  ${this.shouldShowNearestType2Card() ? (() => {
-      const nName  = getVal('nearestType2.name') ?? '';
-      const nAddr  = getVal('nearestType2.address') ?? '';
-      const nDistM = getVal('nearestType2.distance.m');
-      const nFree  = getVal('nearestType2.freePorts');
-      const nPorts = getVal('nearestType2.portCount');
-      const nErr   = getVal('nearestType2.lastError') ?? '';
-      const nDistType = getVal('nearestType2.distanceType') ?? '';
+  ${this.shouldShowNearestType2Card() ? this.getNearestProfiles().map((profile) => {
+      const nName  = getVal(`${profile.channel}.name`) ?? '';
+      const nAddr  = getVal(`${profile.channel}.address`) ?? '';
+      const nDistM = getVal(`${profile.channel}.distance.m`);
+      const nFree  = getVal(`${profile.channel}.freePorts`);
+      const nPorts = getVal(`${profile.channel}.portCount`);
+      const nErr   = getVal(`${profile.channel}.lastError`) ?? '';
+      const nDistType = getVal(`${profile.channel}.distanceType`) ?? '';
 
       const has = !!String(nName).trim();
-      const distTxtRaw = (nDistM !== undefined && nDistM !== null && nDistM !== '') ? `${Math.round(Number(nDistM))} m` : '—';
+      const distTxtRaw = (nDistM !== undefined && nDistM !== null && nDistM !== '') ? `${Math.round(Number(nDistM))} m${formatEtaSuffix(getVal(`${profile.channel}.etaMin`))}` : '—';
       const distTxt = (nDistType === 'tomtom' && distTxtRaw !== '—') ? tomtomDistanceHtml(distTxtRaw) : esc(distTxtRaw);
       const portsTxt = (nFree !== undefined && nPorts !== undefined && nFree !== null && nPorts !== null && nFree !== '' && nPorts !== '') ? `${nFree}/${nPorts} frei` : '—';
 
@@ -2118,23 +4894,25 @@ async cleanupObsoleteStations(currentPrefixes) {
 
       const title = has ? esc(nName) : 'Keine Treffer';
       const addr = has ? esc(nAddr) : esc(nErr || 'Keine Station im Umkreis gefunden');
+      const listHtml = this.renderNearestListHtml(getVal(`${profile.channel}.listJson`), esc, badge);
 
       return `
   <div style="border:1px solid rgba(255,255,255,.12);border-radius:14px;padding:12px;margin-bottom:10px;background:rgba(0,0,0,.18);box-shadow:0 10px 24px rgba(0,0,0,.18);">
     <div style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px;">
       <div style="min-width:0;">
-        <div style="font-weight:900;font-size:13px;letter-spacing:.02em;opacity:.9;">🧭 Nächste freie Typ2</div>
+        <div style="font-weight:900;font-size:13px;letter-spacing:.02em;opacity:.9;">🧭 ${esc(profile.title)}</div>
         <div style="margin-top:6px;font-size:14px;font-weight:900;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${title}</div>
         <div style="opacity:.8;font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${addr}</div>
         <div style="margin-top:6px;display:flex;gap:8px;flex-wrap:wrap;">
           ${badge(distTxt, 'neutral')}
           ${badge(portsTxt, statusKind)}
         </div>
+        ${listHtml}
       </div>
       <div style="flex:0 0 auto;">${badge(statusText, statusKind)}</div>
     </div>
   </div>`;
-  })() : ''}
+  }).join('') : ''}
   </div>
   <div style="border:1px solid rgba(255,255,255,.12);border-radius:14px;overflow:hidden;background:rgba(0,0,0,.18);box-shadow:0 10px 24px rgba(0,0,0,.28);">
 `;
@@ -2212,6 +4990,7 @@ async cleanupObsoleteStations(currentPrefixes) {
             } else if (dKm !== undefined && dKm !== null && dKm !== '' && Number.isFinite(Number(dKm))) {
                 dLabel = `${Number(dKm).toFixed(2)} km`;
             }
+            if (dLabel) dLabel += formatEtaSuffix(getVal(p + '.distance.etaMin'));
             const distText = dLabel
                 ? badge((distanceType === 'tomtom' ? tomtomDistanceHtml(dLabel) : dLabel), 'neutral')
                 : badge('—', 'neutral');
@@ -2262,17 +5041,92 @@ async onReady() {
         this.tomtomApiKey = (this.config && this.config.tomtomApiKey) ? String(this.config.tomtomApiKey).trim() : '';
         this.tomtomTraffic = (this.config && this.config.tomtomTraffic !== undefined) ? isTrue(this.config.tomtomTraffic) : true;
         this.tomtomCacheMin = (this.config && this.config.tomtomCacheMin !== undefined && this.config.tomtomCacheMin !== null && this.config.tomtomCacheMin !== '') ? Number(this.config.tomtomCacheMin) : 10;
+        // base URLs are only overridden for proxies and the test mock server
+        this.tomtomBaseUrl = String((this.config && this.config.tomtomBaseUrl) || 'https://api.tomtom.com').trim().replace(/\/+$/, '');
+        this.routingProviderId = ['osrm', 'graphhopper'].includes(this.config && this.config.routingProvider) ? this.config.routingProvider : 'tomtom';
+        this.routingDailyBudget = (this.config && Number(this.config.routingDailyBudget) > 0) ? Math.round(Number(this.config.routingDailyBudget)) : 0;
+        this.routeCacheMaxEntries = (this.config && Number(this.config.routeCacheMaxEntries) > 0) ? Math.round(Number(this.config.routeCacheMaxEntries)) : 2000;
+        this.routeCacheTtlHours = (this.config && this.config.routeCacheTtlHours !== undefined && this.config.routeCacheTtlHours !== null && this.config.routeCacheTtlHours !== '') ? Number(this.config.routeCacheTtlHours) : 24;
+        this.routingProviders = {
+            tomtom: new TomTomRouting(this, { baseUrl: this.tomtomBaseUrl, apiKey: this.tomtomApiKey, traffic: this.tomtomTraffic }),
+            osrm: new OsrmRouting(this, { baseUrl: this.config && this.config.osrmBaseUrl }),
+            graphhopper: new GraphHopperRouting(this, {
+                baseUrl: this.config && this.config.graphhopperBaseUrl,
+                apiKey: this.config && this.config.graphhopperApiKey,
+                profile: this.config && this.config.graphhopperProfile,
+            }),
+        };
 
         this.notifySocBelow = (this.config && this.config.notifySocBelow !== undefined && this.config.notifySocBelow !== null && this.config.notifySocBelow !== '') ? Number(this.config.notifySocBelow) : 30;
+        this.vehicle = {
+            batteryKwh: (this.config && Number(this.config.vehicleBatteryKwh) > 0) ? Number(this.config.vehicleBatteryKwh) : 0,
+            consumptionKwh100: (this.config && Number(this.config.vehicleConsumptionKwh100) > 0) ? Number(this.config.vehicleConsumptionKwh100) : 18,
+            reservePct: (this.config && Number(this.config.vehicleReservePct) >= 0 && this.config.vehicleReservePct !== '') ? Number(this.config.vehicleReservePct) : 10,
+        };
+        this.vehicles = this.parseVehicles();
+        this.checkSubscriptionVehicles();
         this.notifyMaxDistanceM = (this.config && this.config.notifyMaxDistanceM !== undefined && this.config.notifyMaxDistanceM !== null && this.config.notifyMaxDistanceM !== '') ? Number(this.config.notifyMaxDistanceM) : 500;
         this.notifyCooldownMin = (this.config && this.config.notifyCooldownMin !== undefined && this.config.notifyCooldownMin !== null && this.config.notifyCooldownMin !== '') ? Number(this.config.notifyCooldownMin) : 15;
+        this.notifyMaxEtaMin = (this.config && Number(this.config.notifyMaxEtaMin) > 0) ? Number(this.config.notifyMaxEtaMin) : 0;
+        this.sessionHistoryDays = (this.config && Number(this.config.sessionHistoryDays) > 0) ? Number(this.config.sessionHistoryDays) : 7;
+        this.quietHoursEnabled = !!(this.config && isTrue(this.config.quietHoursEnabled));
+        this.quietFrom = parseTimeOfDay(this.config && this.config.quietFrom);
+        this.quietTo = parseTimeOfDay(this.config && this.config.quietTo);
+        this.quietMode = (this.config && this.config.quietMode === 'suppress') ? 'suppress' : 'digest';
+        this.notifyOnOccupied = !!(this.config && isTrue(this.config.notifyOnOccupied));
+        this.notifyNearestChanged = !!(this.config && isTrue(this.config.notifyNearestChanged));
+        this.sendTimeoutMs = (this.config && Number(this.config.sendTimeoutSec) > 0) ? Number(this.config.sendTimeoutSec) * 1000 : 10 * 1000;
+        this.sendRetryMax = (this.config && this.config.sendRetryMax !== undefined && this.config.sendRetryMax !== null && this.config.sendRetryMax !== '' && Number(this.config.sendRetryMax) >= 0) ? Math.round(Number(this.config.sendRetryMax)) : 5;
+        this.telegramRich = !(this.config && this.config.telegramRich !== undefined) || isTrue(this.config.telegramRich);
+        this.telegramLocation = !(this.config && this.config.telegramLocation !== undefined) || isTrue(this.config.telegramLocation);
+        this.faultAlertsEnabled = !!(this.config && isTrue(this.config.faultAlertsEnabled));
+        this.queueClaimTimeoutMin = (this.config && Number(this.config.queueClaimTimeoutMin) > 0) ? Number(this.config.queueClaimTimeoutMin) : 10;
+        this.occupiedTooLongMin = (this.config && Number(this.config.occupiedTooLongMin) > 0) ? Number(this.config.occupiedTooLongMin) : 0;
+        this.outageAfterPolls = (this.config && Number(this.config.outageAfterPolls) > 0) ? Math.round(Number(this.config.outageAfterPolls)) : 3;
+        this.eventLogSize = (this.config && Number(this.config.eventLogSize) > 0) ? Math.round(Number(this.config.eventLogSize)) : 200;
+        this.pollConcurrency = (this.config && Number(this.config.pollConcurrency) > 0) ? Math.round(Number(this.config.pollConcurrency)) : 4;
+        this.providers = {
+            chargepoint: new ChargePointProvider(this, { baseUrl: this.config && this.config.chargepointBaseUrl }),
+            ocpi: new OcpiProvider(this, {
+                locationsUrl: this.config && this.config.ocpiLocationsUrl,
+                token: this.config && this.config.ocpiToken,
+            }),
+        };
 
         this.log.debug(`Config (car): latId='${this.carLatStateId}' lonId='${this.carLonStateId}' socId='${this.carSocStateId}' connectedId='${this.carConnectedStateId}' chargingId='${this.carChargingStateId}' latStatic=${this.carLatStatic} lonStatic=${this.carLonStatic} socBelow=${this.notifySocBelow} maxDistM=${this.notifyMaxDistanceM} cooldownMin=${this.notifyCooldownMin}`);
-        this.log.debug(`Config (tomtom): enabled=${this.getTomTomEnabled()} traffic=${this.tomtomTraffic} cacheMin=${this.tomtomCacheMin}`);
+        this.log.debug(`Config (quiet): enabled=${this.quietHoursEnabled} from=${this.quietFrom} to=${this.quietTo} mode=${this.quietMode}`);
+        this.log.debug(`Config (routing): provider=${this.routingProviderId} active=${this.getRoutingProvider()?.id || 'airline'} traffic=${this.tomtomTraffic} cacheMin=${this.tomtomCacheMin} cacheTtlHours=${this.routeCacheTtlHours}`);
 
         await this.ensureToolsObjects();
+        await this.loadRoutingCounter();
+        await this.loadRouteCache();
         await this.ensureCarObjects();
-        await this.ensureNearestType2Objects();
+        for (const profile of this.getNearestProfiles()) await this.ensureNearestObjects(profile);
+        await this.cleanupObsoleteNearestObjects(this.getNearestProfiles());
+        await this.loadSessionHistory();
+        await this.loadForecastModel();
+        await this.loadMessageTemplates();
+        await this.loadNotifyState();
+        await this.loadOutbox();
+        await this.loadEvents();
+        this.scheduleOutbox();
+
+        // send the digest once the quiet hours are over and end expired mutes (checked every minute)
+        this.digestTimer = setInterval(() => {
+            this.flushDigest().catch((e) => this.log.warn(`Digest-Versand fehlgeschlagen: ${e.message}`));
+            this.checkStationMutes().catch((e) => this.log.warn(`Stummschaltung konnte nicht beendet werden: ${e.message}`));
+            this.checkQueueTurns().catch((e) => this.log.warn(`Warteschlange konnte nicht geprüft werden: ${e.message}`));
+        }, 60 * 1000);
+
+        if ((Array.isArray(this.config.channels) ? this.config.channels : []).some((c) => c && c.secret)) {
+            this.log.warn('HMAC-Schlüssel steht noch unverschlüsselt in der Kanal-Tabelle, bitte in das Feld „Webhook HMAC-Schlüssel“ übertragen');
+        }
+
+        // Telegram button answers
+        this.telegramRequestIds = new Set(this.getActiveChannels()
+            .filter((c) => c.instance.startsWith('telegram.'))
+            .map((c) => `${c.instance}.communicate.request`));
+        for (const id of this.telegramRequestIds) this.subscribeForeignStates(id);
 
         // subscribe to foreign car position states (optional)
         if (this.carLatStateId) this.subscribeForeignStates(this.carLatStateId);
@@ -2286,6 +5140,7 @@ async onReady() {
         await this.initCarSoc();
         await this.initCarConnected();
         await this.initCarCharging();
+        await this.initVehicles();
         // initial distance calc + nearest station (if car GPS is known)
         this.scheduleCarDistanceUpdate('initial');
         this.scheduleNearestType2Update('initial');
@@ -2296,12 +5151,16 @@ async onReady() {
         this.subscribeStates('tools.refreshNow');
         this.subscribeStates('stations.*.*.notifyOnAvailable');
         this.subscribeStates('stations.*.*.testNotify');
+        this.subscribeStates('stations.*.*.queue.*');
 
         const intervalMin = Number(this.config.interval) || 5;
+        // a little slack so timer jitter does not drop every other scheduled sample
+        this.forecastSampleGapMs = Math.max(intervalMin * 60 * 1000 - 10 * 1000, 0);
 
         const stations = (Array.isArray(this.config.stations) ? this.config.stations : [])
             .filter((s) => s && typeof s === 'object')
             .map((s, idx) => {
+                const provider = this.getProvider(s.provider);
                 const deviceId1 = s.deviceId1 ?? s.stationId ?? s.deviceId ?? s.id;
                 const deviceId2 = s.deviceId2 ?? null;
                 const name = s.name || `station_${deviceId1 || idx + 1}`;
@@ -2310,9 +5169,11 @@ async onReady() {
                 return {
                     name,
                     enabled,
+                    provider: provider.id,
                     notifyOnAvailable: s.notifyOnAvailable === true,
-                    deviceId1: deviceId1 ? Number(deviceId1) : null,
-                    deviceId2: deviceId2 ? Number(deviceId2) : null,
+                    queueEnabled: isTrue(s.queueEnabled),
+                    deviceId1: provider.parseDeviceId(deviceId1),
+                    deviceId2: provider.parseDeviceId(deviceId2),
                 };
             })
             .filter((s) => !!s.deviceId1);
@@ -2336,9 +5197,10 @@ async onReady() {
         }
 
         // create tree based on current city names
-        for (const st of enabledStations) {
-            const data1 = await this.safeFetch(st.deviceId1);
-            const data2 = st.deviceId2 ? await this.safeFetch(st.deviceId2) : null;
+        const fetched = await this.fetchStationsData(enabledStations);
+        for (let idx = 0; idx < enabledStations.length; idx++) {
+            const st = enabledStations[idx];
+            const { data1, data2 } = fetched[idx];
             const city = this.pickCity(data1, data2);
             const cityKey = this.makeSafeName(city) || 'unbekannt';
             const stationKey = this.getStationKey(st);
@@ -2348,7 +5210,7 @@ async onReady() {
             await this.ensureStationObjects(stationPrefix, st, city);
         }
 
-        await this.updateAllStations(enabledStations);
+        await this.runPoll(enabledStations, 'startup');
         await this.setStateAsync('tools.lastRefresh', { val: new Date().toISOString(), ack: true });
         await this.setStateAsync('tools.lastRefreshResult', { val: 'startup_ok', ack: true });
 
@@ -2356,7 +5218,12 @@ async onReady() {
         this.scheduleVisHtmlUpdate('initial');
 
         this.pollInterval = setInterval(() => {
-            this.updateAllStations(enabledStations)
+            if (this.pollRunning) {
+                this.log.warn('Polling-Tick übersprungen: vorheriger Poll läuft noch');
+                this.setStateAsync('tools.lastRefreshResult', { val: 'poll_skipped_busy', ack: true }).catch(() => {});
+                return;
+            }
+            this.runPoll(enabledStations, 'interval')
                 .then(async () => {
                     const now = new Date().toISOString();
 
@@ -2383,7 +5250,56 @@ async onReady() {
                 });
         }, intervalMin * 60 * 1000);
 
-        this.log.info(`Polling-Intervall: ${intervalMin} Minuten, Stationen (aktiv): ${enabledStations.length}`);
+        this.log.info(`Polling-Intervall: ${intervalMin} Minuten, Stationen (aktiv): ${enabledStations.length}, parallele Abfragen: ${this.pollConcurrency}`);
+    }
+
+    async runManualRefresh() {
+        // shared by tools.refreshNow (VIS button) and the Telegram "Refresh now" button
+        const now = new Date().toISOString();
+        const nowTs = Date.now();
+
+        if (this.refreshRunning || this.pollRunning) {
+            await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
+            await this.setStateAsync('tools.lastRefreshResult', { val: 'busy', ack: true });
+            await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
+            return 'busy';
+        }
+
+        if (this.lastManualRefreshTs && (nowTs - this.lastManualRefreshTs) < this.refreshMinGapMs) {
+            const waitMs = this.refreshMinGapMs - (nowTs - this.lastManualRefreshTs);
+            await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
+            await this.setStateAsync('tools.lastRefreshResult', { val: `debounced: wait ${Math.ceil(waitMs / 1000)}s`, ack: true });
+            await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
+            this.log.debug(`Manueller Refresh geblockt (Debounce ${waitMs} ms Restlaufzeit)`);
+            return `debounced: wait ${Math.ceil(waitMs / 1000)}s`;
+        }
+
+        let result = 'ok';
+        this.refreshRunning = true;
+        this.lastManualRefreshTs = nowTs;
+        await this.setStateAsync('tools.refreshRunning', { val: true, ack: true });
+        try {
+            const stations = Array.isArray(this.enabledStations) ? this.enabledStations : [];
+            if (!stations.length) throw new Error('Keine aktiven Stationen konfiguriert');
+
+            await this.runPoll(stations, 'manual');
+            this.scheduleVisHtmlUpdate('manual_refresh');
+            this.scheduleNearestType2Update('manual_refresh');
+            await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
+            await this.setStateAsync('tools.lastRefreshResult', { val: 'ok', ack: true });
+            this.log.info('Manueller Refresh erfolgreich ausgeführt');
+        } catch (e) {
+            const msg = e?.message || String(e);
+            result = `error: ${msg}`;
+            await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
+            await this.setStateAsync('tools.lastRefreshResult', { val: result, ack: true });
+            this.log.warn(`Manueller Refresh fehlgeschlagen: ${msg}`);
+        } finally {
+            this.refreshRunning = false;
+            await this.setStateAsync('tools.refreshRunning', { val: false, ack: true });
+            await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
+        }
+        return result;
     }
 
     async onStateChange(id, state) {
@@ -2417,8 +5333,39 @@ async onReady() {
             return;
         }
 
+        // foreign states of the additional vehicles
+        if (this.vehicleByStateId[id]) {
+            await this.updateVehicleState(this.vehicleByStateId[id], id, state.val);
+            return;
+        }
+
+        if (this.telegramRequestIds.has(id)) {
+            await this.handleTelegramCallback(id.replace(/\.communicate\.request$/, ''), state.val);
+            return;
+        }
+
         if (state.ack) return;
 
+        const mQueue = id.match(new RegExp('^' + this.namespace.replace(/\./g, '\\.') + '\\.(stations\\.[^.]+\\.[^.]+)\\.queue\\.(join|leave|claim)$'));
+        if (mQueue) {
+            const [, prefix, action] = mQueue;
+            if (action === 'join') await this.queueJoin(prefix, state.val);
+            else if (action === 'leave') await this.queueLeave(prefix, state.val);
+            else await this.queueClaim(prefix, state.val);
+            await this.setStateAsync(`${prefix}.queue.${action}`, { val: '', ack: true });
+            return;
+        }
+
+        // a manual switch ends a running mute
+        if (/\.notifyOnAvailable$/.test(id)) {
+            const prefix = id.replace(`${this.namespace}.`, '').replace(/\.notifyOnAvailable$/, '');
+            if (this.stationMutedUntil[prefix]) {
+                delete this.stationMutedUntil[prefix];
+                await this.saveNotifyState();
+            }
+            return;
+        }
+
         if (id === `${this.namespace}.tools.export` && state.val === true) {
             await this.doExportStations();
             await this.setStateAsync('tools.export', { val: false, ack: true });
@@ -2427,7 +5374,7 @@ async onReady() {
 
         if (id === `${this.namespace}.tools.testNotify` && state.val === true) {
             const now = new Date().toISOString();
-            const res = await this.sendMessageToChannels('CPT Test: Kommunikation OK ✅');
+            const res = await this.sendMessageToChannels(this.formatMessage('test'), { event: 'test', isTest: true, wait: true });
             await this.setStateAsync('tools.lastTest', { val: now, ack: true });
             await this.setStateAsync('tools.lastTestResult', { val: `ok=${res.ok}, failed=${res.failed}`, ack: true });
             await this.setStateAsync('tools.testNotify', { val: false, ack: true });
@@ -2456,48 +5403,7 @@ async onReady() {
 
 
         if (id === `${this.namespace}.tools.refreshNow` && state.val === true) {
-            const now = new Date().toISOString();
-            const nowTs = Date.now();
-
-            if (this.refreshRunning) {
-                await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
-                await this.setStateAsync('tools.lastRefreshResult', { val: 'busy', ack: true });
-                await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
-                return;
-            }
-
-            if (this.lastManualRefreshTs && (nowTs - this.lastManualRefreshTs) < this.refreshMinGapMs) {
-                const waitMs = this.refreshMinGapMs - (nowTs - this.lastManualRefreshTs);
-                await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
-                await this.setStateAsync('tools.lastRefreshResult', { val: `debounced: wait ${Math.ceil(waitMs / 1000)}s`, ack: true });
-                await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
-                this.log.debug(`Manueller Refresh geblockt (Debounce ${waitMs} ms Restlaufzeit)`);
-                return;
-            }
-
-            this.refreshRunning = true;
-            this.lastManualRefreshTs = nowTs;
-            await this.setStateAsync('tools.refreshRunning', { val: true, ack: true });
-            try {
-                const stations = Array.isArray(this.enabledStations) ? this.enabledStations : [];
-                if (!stations.length) throw new Error('Keine aktiven Stationen konfiguriert');
-
-                await this.updateAllStations(stations);
-                this.scheduleVisHtmlUpdate('manual_refresh');
-                this.scheduleNearestType2Update('manual_refresh');
-                await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
-                await this.setStateAsync('tools.lastRefreshResult', { val: 'ok', ack: true });
-                this.log.info('Manueller Refresh erfolgreich ausgeführt');
-            } catch (e) {
-                const msg = e?.message || String(e);
-                await this.setStateAsync('tools.lastRefresh', { val: now, ack: true });
-                await this.setStateAsync('tools.lastRefreshResult', { val: `error: ${msg}`, ack: true });
-                this.log.warn(`Manueller Refresh fehlgeschlagen: ${msg}`);
-            } finally {
-                this.refreshRunning = false;
-                await this.setStateAsync('tools.refreshRunning', { val: false, ack: true });
-                await this.setStateAsync('tools.refreshNow', { val: false, ack: true });
-            }
+            await this.runManualRefresh();
             return;
         }
 
@@ -2536,6 +5442,8 @@ async onReady() {
                     const label = active ? n : `${n} (inaktiv)`;
                     if (!opts.some((o) => o.value === val)) opts.push({ value: val, label });
                 }
+                // "nearest free station changed" messages go to __ALL__ and to this entry
+                if (isTrue(this.config.nearestType2Enabled)) opts.push({ value: 'nearestType2', label: 'Nächste freie Typ2 (Wechsel)' });
 
                 opts.sort((a, b) => a.label.localeCompare(b.label, 'de'));
                 obj.callback && this.sendTo(obj.from, obj.command, opts, obj.callback);
@@ -2579,48 +5487,32 @@ async onReady() {
             }
 
             try {
-                const isTelegram = instance.startsWith('telegram.');
-                const isWhatsAppCmb = instance.startsWith('whatsapp-cmb.');
-                const isOpenWa = instance.startsWith('open-wa.');
-                const isPushover = instance.startsWith('pushover.');
-
-                if (isOpenWa && !user) {
+                if (instance.startsWith('open-wa.') && !user) {
                     obj.callback && this.sendTo(obj.from, obj.command, { error: 'Für open-wa muss im Feld Empfänger eine Telefonnummer stehen (z.B. +4917...)' }, obj.callback);
                     return;
                 }
-
-                let payload;
-                const msgText = 'CPT Test: Kommunikation OK ✅';
-                if (isTelegram) {
-                    payload = { text: msgText, ...(user ? { user } : {}) };
-                } else if (isWhatsAppCmb) {
-                    payload = {
-                        phone: user || undefined,
-                        number: user || undefined,
-                        to: user || undefined,
-                        text: msgText,
-                        message: msgText,
-                        title: 'ChargePoint',
-                        channelLabel: label || undefined,
-                    };
-                } else if (isPushover) {
-                    payload = { message: msgText, sound: '' };
-                } else if (isOpenWa) {
-                    payload = { to: user, text: msgText };
-                } else {
-                    payload = { text: msgText };
+                const url = (m.url || '').toString().trim();
+                if (instance === 'webhook' && !url) {
+                    obj.callback && this.sendTo(obj.from, obj.command, { error: 'Für den Webhook muss eine URL gesetzt sein' }, obj.callback);
+                    return;
                 }
-                Object.keys(payload).forEach((k) => payload[k] === undefined && delete payload[k]);
 
-                // IMPORTANT: log this action because sendTo itself is fire-and-forget
+                const ch = { instance, user, label, url, secret: String(this.config?.webhookSecret || '') };
+                const messages = this.buildChannelMessages(ch, this.formatMessage('test'), { event: 'test', isTest: true });
+
                 this.log.info(`Kommunikation-Test: instance=${instance}${user ? ` user=${user}` : ''}${label ? ` label=${label}` : ''}`);
 
-                // open-wa uses a dedicated command; others usually accept the payload directly
-                if (isOpenWa) this.sendTo(instance, 'send', payload);
-                else this.sendTo(instance, payload);
+                // wait for the delivery confirmation so the admin sees a stopped instance right away
+                const res = await this.tryDeliver(messages[messages.length - 1]);
+                await this.updateChannelDeliveryStates(label || instance, res);
+                if (!res.ok) {
+                    this.log.warn(`Kommunikation-Test fehlgeschlagen (${instance}): ${res.error}`);
+                    obj.callback && this.sendTo(obj.from, obj.command, { error: res.error }, obj.callback);
+                    return;
+                }
 
-                this.log.info(`Kommunikation-Test: sendTo ausgelöst (${instance})`);
-                obj.callback && this.sendTo(obj.from, obj.command, { data: { result: `Test an ${instance} gesendet${user ? ' (' + user + ')' : ''}` } }, obj.callback);
+                this.log.info(`Kommunikation-Test: zugestellt (${instance})`);
+                obj.callback && this.sendTo(obj.from, obj.command, { data: { result: `Test an ${instance} zugestellt${user ? ' (' + user + ')' : ''}` } }, obj.callback);
             } catch (e) {
                 this.log.warn(`Kommunikation-Test fehlgeschlagen (${instance}): ${e.message}`);
                 obj.callback && this.sendTo(obj.from, obj.command, { error: e.message }, obj.callback);
@@ -2628,6 +5520,16 @@ async onReady() {
             return;
         }
 
+        if (obj.command === 'clearRouteCache') {
+            try {
+                const count = await this.clearRouteCache();
+                obj.callback && this.sendTo(obj.from, obj.command, { data: { result: `Routen-Cache geleert (${count} Einträge)` } }, obj.callback);
+            } catch (e) {
+                obj.callback && this.sendTo(obj.from, obj.command, { error: e.message }, obj.callback);
+            }
+            return;
+        }
+
         if (obj.command === 'testStation') {
             const name = (obj.message?.name || '').toString().trim();
             if (!name) {
@@ -2658,13 +5560,18 @@ async onReady() {
     async doExportStations() {
         const stations = (Array.isArray(this.config.stations) ? this.config.stations : [])
             .filter((s) => s && typeof s === 'object')
-            .map((s, idx) => ({
-                enabled: (s.enabled == undefined || s.enabled == null) ? true : isTrue(s.enabled),
-                notifyOnAvailable: s.notifyOnAvailable === true,
-                name: s.name || `station_${s.deviceId1 ?? s.stationId ?? s.deviceId ?? idx + 1}`,
-                deviceId1: Number(s.deviceId1 ?? s.stationId ?? s.deviceId ?? s.id),
-                deviceId2: s.deviceId2 ? Number(s.deviceId2) : null,
-            }))
+            .map((s, idx) => {
+                const provider = this.getProvider(s.provider);
+                return {
+                    enabled: (s.enabled == undefined || s.enabled == null) ? true : isTrue(s.enabled),
+                    notifyOnAvailable: s.notifyOnAvailable === true,
+                    queueEnabled: isTrue(s.queueEnabled),
+                    provider: provider.id,
+                    name: s.name || `station_${s.deviceId1 ?? s.stationId ?? s.deviceId ?? idx + 1}`,
+                    deviceId1: provider.parseDeviceId(s.deviceId1 ?? s.stationId ?? s.deviceId ?? s.id),
+                    deviceId2: provider.parseDeviceId(s.deviceId2),
+                };
+            })
             .filter((s) => !!s.deviceId1);
 
         const payload = {
@@ -2672,7 +5579,12 @@ async onReady() {
             adapter: 'cpt',
             version: this.version,
             interval: Number(this.config.interval) || 5,
-            channels: Array.isArray(this.config.channels) ? this.config.channels : this.config.channels || [],
+            // without the HMAC key, otherwise anybody reading the export could sign webhook events
+            channels: (Array.isArray(this.config.channels) ? this.config.channels : []).map((c) => {
+                const copy = { ...c };
+                delete copy.secret;
+                return copy;
+            }),
             subscriptions: this.getSubscriptions(),
             stations,
         };
@@ -2694,9 +5606,19 @@ async onReady() {
         this.log.info(`Export erstellt: ${stations.length} Station(en)`);
     }
 
-    onUnload(callback) {
+    async onUnload(callback) {
         try {
             if (this.pollInterval) clearInterval(this.pollInterval);
+            if (this.visHtmlTimer) clearTimeout(this.visHtmlTimer);
+            if (this.nearestTimer) clearTimeout(this.nearestTimer);
+            if (this.carDistanceTimer) clearTimeout(this.carDistanceTimer);
+            if (this.digestTimer) clearInterval(this.digestTimer);
+            if (this.outboxTimer) clearTimeout(this.outboxTimer);
+            // pending events and routes cached since the last poll would be lost otherwise
+            const writes = [];
+            if (this.eventsTimer) writes.push(this.flushEvents());
+            if (this.routeCacheDirty) writes.push(this.saveRouteCache());
+            if (writes.length) await waitAtMost(Promise.all(writes), UNLOAD_WRITE_TIMEOUT_MS);
             callback();
         } catch {
             callback();
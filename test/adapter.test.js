@@ -0,0 +1,1048 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { createMockServer, loadFixture } = require('./lib/mockServer');
+const { createAdapter, delay, NO_ANSWER } = require('./lib/harness');
+
+const PREFIX_LIDL = 'stations.musterstadt.lidl_musterstadt';
+const PREFIX_RATHAUS = 'stations.musterstadt.rathaus';
+
+function baseConfig(baseUrl, extra = {}) {
+    return {
+        interval: 5,
+        chargepointBaseUrl: baseUrl,
+        tomtomBaseUrl: baseUrl,
+        stations: [
+            { enabled: true, notifyOnAvailable: true, name: 'Lidl Musterstadt', deviceId1: 123456 },
+            { enabled: true, notifyOnAvailable: false, name: 'Rathaus', deviceId1: 234567 },
+        ],
+        channels: [{ enabled: true, instance: 'telegram.0', user: 'alice', label: 'Team' }],
+        subscriptions: [{ enabled: true, station: '__ALL__', recipient: 'Team' }],
+        // ~100 m south of the Lidl station
+        carLat: 52.150334,
+        carLon: 9.951234,
+        carSocStateId: 'javascript.0.car.soc',
+        notifySocBelow: 30,
+        notifyMaxDistanceM: 500,
+        visHtmlEnabled: true,
+        visHtmlMobileEnabled: true,
+        ...extra,
+    };
+}
+
+describe('main.js', () => {
+    it('loads without syntax errors', () => {
+        const adapter = createAdapter();
+        assert.strictEqual(typeof adapter.onReady, 'function');
+        assert.strictEqual(typeof adapter.updateNearestType2, 'function');
+    });
+});
+
+describe('CptAdapter against the mock API', function () {
+    this.timeout(10000);
+
+    let server;
+    let baseUrl;
+    let adapter;
+
+    beforeEach(async () => {
+        server = createMockServer();
+        baseUrl = await server.start();
+    });
+
+    afterEach(async () => {
+        if (adapter) await adapter.unload();
+        adapter = null;
+        await server.stop();
+    });
+
+    async function start(extra, foreignStates = {}) {
+        adapter = createAdapter(baseConfig(baseUrl, extra));
+        await adapter.setForeignStateAsync('system.adapter.telegram.0.alive', { val: true, ack: true });
+        await adapter.setForeignStateAsync('javascript.0.car.soc', { val: 20, ack: true });
+        for (const [id, val] of Object.entries(foreignStates)) await adapter.setForeignStateAsync(id, { val, ack: true });
+        await adapter.onReady();
+        return adapter;
+    }
+
+    // channel deliveries run detached from the poll, wait for them before looking at the sent messages
+    async function poll() {
+        await adapter.runPoll(adapter.enabledStations, 'test');
+        await adapter.waitForDeliveries();
+    }
+
+    // text messages only, Telegram location pins and callback answers are separate sendTo calls
+    function telegramTexts() {
+        return adapter.sentMessages.filter((m) => m.instance === 'telegram.0' && m.message.text !== undefined);
+    }
+
+    it('creates the station tree on startup', async () => {
+        await start();
+
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.city`), 'Musterstadt');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.portCount`), 2);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePorts`), 1);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.statusDerived`), 'available');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.1.displayPlugType`), 'Type 2');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.2.evseId`), 'DE*CPI*E123456*2');
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.statusDerived`), 'in_use');
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.ports.1.maxPowerKw`), 50);
+        assert.strictEqual(adapter.val('tools.lastRefreshResult'), 'startup_ok');
+        assert.ok(Number.isFinite(adapter.val('tools.lastPollDurationMs')));
+    });
+
+    it('maps an OCPI 2.2 location to the same station states', async () => {
+        await start({
+            stations: [{ enabled: true, notifyOnAvailable: true, provider: 'ocpi', name: 'Lidl Musterstadt', deviceId1: 'LOC123' }],
+            ocpiLocationsUrl: `${baseUrl}/ocpi/2.2/locations`,
+            ocpiToken: 'test-token',
+        });
+
+        assert.ok(server.requests.some((r) => r.path === '/ocpi/2.2/locations/LOC123' && r.headers.authorization === 'Token test-token'));
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.city`), 'Musterstadt');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.portCount`), 2);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePorts`), 1);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.statusDerived`), 'available');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.1.displayPlugType`), 'Type 2');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.1.maxPowerKw`), 11);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.2.evseId`), 'DE*CPO*E123456*2');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.2.maxPowerKw`), 11);
+        assert.strictEqual(adapter.val('tools.lastRefreshResult'), 'startup_ok');
+
+        adapter.sentMessages.length = 0;
+        server.setOcpiEvseStatus('LOC123', 'LOC123-2', 'AVAILABLE');
+        await poll();
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePorts`), 2);
+        assert.match(telegramTexts()[0].message.text, /Lidl Musterstadt/);
+    });
+
+    it('computes the air-line distance without TomTom key', async () => {
+        await start();
+
+        const m = adapter.val(`${PREFIX_LIDL}.distance.m`);
+        assert.ok(m > 90 && m < 110, `distance was ${m}`);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distanceType`), 'airline');
+        assert.strictEqual(server.countRequests('/routing/'), 0);
+    });
+
+    it('notifies subscribers when a port becomes available', async () => {
+        await start();
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePorts`), 2);
+        const sent = telegramTexts();
+        assert.strictEqual(sent.length, 1);
+        assert.match(sent[0].message.text, /Lidl Musterstadt/);
+        assert.strictEqual(sent[0].message.user, 'alice');
+    });
+
+    it('renders custom message templates with placeholders', async () => {
+        await start({ msgTplAvailable: '{station}: {freePorts}/{portCount} frei, {distanceM} m, SoC {soc} % {mapsUrl}' });
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        const sent = telegramTexts();
+        assert.strictEqual(sent.length, 1);
+        assert.match(sent[0].message.text, /^Lidl Musterstadt: 2\/2 frei, \d+ m, SoC 20 % https:\/\/www\.google\.com\/maps\?q=/);
+    });
+
+    it('uses English default texts for a non-German system language', async () => {
+        adapter = createAdapter(baseConfig(baseUrl, { notifyOnOccupied: true }));
+        await adapter.setForeignObjectAsync('system.config', { type: 'config', common: { language: 'en' } });
+        await adapter.setForeignStateAsync('system.adapter.telegram.0.alive', { val: true, ack: true });
+        await adapter.setForeignStateAsync('javascript.0.car.soc', { val: 20, ack: true });
+        await adapter.onReady();
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        server.setPortStatus(123456, 1, 'in_use');
+        server.setPortStatus(123456, 2, 'in_use');
+        await poll();
+
+        const texts = telegramTexts().map((m) => m.message.text);
+        assert.deepStrictEqual(texts, [
+            'Charging station Lidl Musterstadt in Musterstadt is now available (2/2)',
+            'Charging station Lidl Musterstadt in Musterstadt is occupied again',
+        ]);
+    });
+
+    it('adds a location pin and inline buttons to Telegram messages', async () => {
+        await start();
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        const tg = adapter.sentMessages.filter((m) => m.instance === 'telegram.0');
+        assert.strictEqual(tg.length, 2);
+        assert.strictEqual(tg[0].message.venue.title, 'Lidl Musterstadt');
+        assert.ok(Math.abs(tg[0].message.venue.latitude - 52.151234) < 0.001);
+        const keyboard = tg[1].message.reply_markup.inline_keyboard.flat();
+        assert.match(keyboard[0].url, /^https:\/\/www\.google\.com\/maps\/dir\//);
+        assert.deepStrictEqual(keyboard.slice(1).map((b) => b.callback_data.split('|')[1]), ['mute', 'refresh']);
+    });
+
+    it('handles the Telegram mute and refresh buttons', async () => {
+        await start();
+        await delay(5);
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        const buttons = telegramTexts()[0].message.reply_markup.inline_keyboard.flat();
+        const mute = buttons.find((b) => String(b.callback_data).includes('|mute|'));
+        const refresh = buttons.find((b) => String(b.callback_data).includes('|refresh'));
+
+        await adapter.setForeignTestState('telegram.0.communicate.request', `[alice]${mute.callback_data}`);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.notifyOnAvailable`), false);
+        assert.ok(adapter.stationMutedUntil[PREFIX_LIDL].until > Date.now() + 59 * 60000);
+
+        adapter.stationMutedUntil[PREFIX_LIDL].until = Date.now() - 1;
+        await adapter.checkStationMutes();
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.notifyOnAvailable`), true);
+
+        // a station that was switched off stays off after the mute
+        await adapter.setStateAsync(`${PREFIX_RATHAUS}.notifyOnAvailable`, { val: false, ack: true });
+        await adapter.muteStation(PREFIX_RATHAUS, 60);
+        adapter.stationMutedUntil[PREFIX_RATHAUS].until = Date.now() - 1;
+        await adapter.checkStationMutes();
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.notifyOnAvailable`), false);
+
+        adapter.lastManualRefreshTs = 0;
+        const before = server.countRequests('/map-prod/v3/station/info');
+        await adapter.setForeignTestState('telegram.0.communicate.request', `[alice]${refresh.callback_data}`);
+        assert.ok(server.countRequests('/map-prod/v3/station/info') > before);
+        assert.strictEqual(adapter.val('tools.lastRefreshResult'), 'ok');
+        const answer = adapter.sentMessages.filter((m) => m.message.answerCallbackQuery).pop();
+        assert.strictEqual(answer.message.answerCallbackQuery.text, 'Aktualisierung: ok');
+    });
+
+    it('filters subscriptions by plug type and minimum power', async () => {
+        await start({
+            channels: [
+                { enabled: true, instance: 'telegram.0', user: 'alice', label: 'Alice' },
+                { enabled: true, instance: 'telegram.0', user: 'bob', label: 'Bob' },
+                { enabled: true, instance: 'telegram.0', user: 'carol', label: 'Carol' },
+            ],
+            subscriptions: [
+                { enabled: true, station: '__ALL__', recipient: 'Alice', plugTypes: 'CCS' },
+                { enabled: true, station: '__ALL__', recipient: 'Bob', plugTypes: 'Typ 2, CHAdeMO', minKw: 11 },
+                { enabled: true, station: '__ALL__', recipient: 'Carol', minKw: 22 },
+            ],
+        });
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePortsByPlug.type2`), 1);
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.freePortsByPlug.ccs`), 0);
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePortsByPlug.type2`), 2);
+        assert.deepStrictEqual(telegramTexts().map((m) => m.message.user), ['bob']);
+        const skipped = adapter.events.filter((e) => e.type === 'notifySkipped' && e.reason === 'plug').map((e) => e.recipient);
+        assert.deepStrictEqual(skipped, ['Alice', 'Carol']);
+    });
+
+    it('enforces the notify cooldown per station and recipient', async () => {
+        await start();
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        adapter.sentMessages.length = 0;
+
+        // car moves a bit -> new position key, but the recipient is still in cooldown
+        await adapter.updateCarPosition(52.150534, 9.951234, 'test');
+        await adapter.waitForDeliveries();
+
+        assert.strictEqual(telegramTexts().length, 0);
+        const nextAllowed = Date.parse(adapter.val(`${PREFIX_LIDL}.notify.nextAllowedAt`));
+        assert.ok(nextAllowed > Date.now() + 14 * 60000, 'nextAllowedAt should be ~15 min ahead');
+    });
+
+    it('uses the per-subscription cooldown override', async () => {
+        await start({ subscriptions: [{ enabled: true, station: '__ALL__', recipient: 'Team', cooldownMin: 0 }] });
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        adapter.sentMessages.length = 0;
+
+        await adapter.updateCarPosition(52.150534, 9.951234, 'test');
+        await adapter.waitForDeliveries();
+
+        assert.strictEqual(telegramTexts().length, 1);
+    });
+
+    it('keeps the cooldown across restarts', async () => {
+        await start();
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        const restarted = createAdapter(baseConfig(baseUrl));
+        restarted.files = { ...adapter.files };
+        await restarted.loadNotifyState();
+        const remaining = restarted.getCooldownRemainingMs(PREFIX_LIDL, { recipient: 'Team' });
+        assert.ok(remaining > 14 * 60000, `remaining cooldown was ${remaining}`);
+    });
+
+    it('skips subscriptions outside their weekday schedule', async () => {
+        const tomorrow = String((new Date().getDay() + 1) % 7);
+        await start({ subscriptions: [{ enabled: true, station: '__ALL__', recipient: 'Team', days: tomorrow }] });
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        assert.strictEqual(telegramTexts().length, 0);
+    });
+
+    it('collects messages during quiet hours and sends them as digest', async () => {
+        await start({ quietHoursEnabled: true, quietFrom: '00:00', quietTo: '00:00', quietMode: 'digest' });
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        assert.strictEqual(telegramTexts().length, 0);
+        assert.ok(adapter.digestQueue.Team[PREFIX_LIDL]);
+
+        adapter.quietHoursEnabled = false;
+        await adapter.flushDigest();
+        const sent = telegramTexts();
+        assert.strictEqual(sent.length, 1);
+        assert.match(sent[0].message.text, /Zusammenfassung der Ruhezeit \(1\)/);
+        assert.deepStrictEqual(adapter.digestQueue, {});
+    });
+
+    it('queues messages for a stopped instance and retries them', async () => {
+        await start();
+        await adapter.setForeignStateAsync('system.adapter.telegram.0.alive', { val: false, ack: true });
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        // location pin + text
+        assert.strictEqual(adapter.val('channels.team.failedCount'), 2);
+        assert.match(adapter.val('channels.team.lastError'), /telegram\.0 läuft nicht/);
+        assert.strictEqual(adapter.outbox.length, 1);
+        assert.match(adapter.files['cpt.0/outbox.json'], /Lidl Musterstadt/);
+
+        adapter.sentMessages.length = 0;
+        await adapter.setForeignStateAsync('system.adapter.telegram.0.alive', { val: true, ack: true });
+        adapter.outbox[0].nextTryTs = 0;
+        await adapter.processOutbox();
+
+        assert.strictEqual(adapter.outbox.length, 0);
+        assert.strictEqual(telegramTexts().length, 1);
+        assert.strictEqual(adapter.val('channels.team.failedCount'), 0);
+        assert.ok(adapter.val('channels.team.lastSuccess'));
+    });
+
+    it('does not queue or hold up the poll for a message whose sendTo callback never answers', async () => {
+        await start();
+        adapter.sendTimeoutMs = 500;
+        adapter.sendToResponder = () => NO_ANSWER;
+
+        server.setPortStatus(123456, 2, 'available');
+        const startTs = Date.now();
+        await adapter.runPoll(adapter.enabledStations, 'test');
+        assert.ok(Date.now() - startTs < 400, `poll took ${Date.now() - startTs} ms`);
+        await adapter.waitForDeliveries();
+
+        assert.strictEqual(telegramTexts().length, 1);
+        assert.match(adapter.val('channels.team.lastUnconfirmed'), /keine Antwort von telegram\.0/);
+        assert.strictEqual(adapter.val('channels.team.lastError'), undefined);
+        assert.strictEqual(adapter.val('channels.team.failedCount'), undefined);
+        assert.strictEqual(adapter.outbox.length, 0);
+        assert.ok(adapter.events.some((e) => e.type === 'deliveryUnconfirmed' && e.channel === 'Team'));
+        assert.ok(!adapter.events.some((e) => e.type === 'deliveryFailed'));
+    });
+
+    it('treats a sendTo error answer as failed delivery', async () => {
+        await start({ sendRetryMax: 0 });
+        adapter.sendToResponder = () => ({ error: 'bot blocked' });
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        assert.match(adapter.val('channels.team.lastError'), /bot blocked/);
+        assert.strictEqual(adapter.outbox.length, 0);
+    });
+
+    it('posts a signed JSON event to a webhook channel', async () => {
+        await start({
+            channels: [{ enabled: true, instance: 'webhook', label: 'Team', url: `${baseUrl}/webhook` }],
+            webhookSecret: 's3cret',
+        });
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        const hooks = server.requests.filter((r) => r.path === '/webhook');
+        assert.strictEqual(hooks.length, 1);
+        const event = JSON.parse(hooks[0].body);
+        assert.strictEqual(event.event, 'available');
+        assert.strictEqual(event.station, 'Lidl Musterstadt');
+        assert.strictEqual(event.freePorts, 2);
+        assert.strictEqual(event.soc, 20);
+        assert.ok(event.distanceM > 90 && event.distanceM < 110);
+        const expected = crypto.createHmac('sha256', 's3cret').update(hooks[0].body).digest('hex');
+        assert.strictEqual(hooks[0].headers['x-cpt-signature'], `sha256=${expected}`);
+        assert.ok(adapter.val('channels.team.lastSuccess'));
+
+        // a key left in the table row of an old config must not end up in the export
+        adapter.config.channels[0].secret = 'old-s3cret';
+        await adapter.doExportStations();
+        assert.doesNotMatch(adapter.val('tools.exportJson'), /s3cret/);
+        assert.doesNotMatch(adapter.files['cpt.0/stations_export.json'], /s3cret/);
+    });
+
+    it('uses the discord and email payload shapes', async () => {
+        await start({
+            channels: [
+                { enabled: true, instance: 'discord.0', user: '111/222', label: 'Team' },
+                { enabled: true, instance: 'email.0', user: 'alice@example.org', label: 'Team' },
+            ],
+        });
+        await adapter.setForeignStateAsync('system.adapter.discord.0.alive', { val: true, ack: true });
+        await adapter.setForeignStateAsync('system.adapter.email.0.alive', { val: true, ack: true });
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        const discord = adapter.sentMessages.find((m) => m.instance === 'discord.0');
+        assert.strictEqual(discord.command, 'sendMessage');
+        assert.strictEqual(discord.message.serverId, '111');
+        assert.strictEqual(discord.message.channelId, '222');
+        assert.match(discord.message.content, /Lidl Musterstadt/);
+        const email = adapter.sentMessages.find((m) => m.instance === 'email.0');
+        assert.strictEqual(email.message.to, 'alice@example.org');
+        assert.strictEqual(email.message.subject, 'ChargePoint: Lidl Musterstadt');
+    });
+
+    it('does not notify when the SoC is above the threshold', async () => {
+        await start();
+        await adapter.setForeignTestState('javascript.0.car.soc', 80);
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        assert.strictEqual(telegramTexts().length, 0);
+    });
+
+    it('logs port changes and notify decisions as structured events', async () => {
+        await start();
+        await adapter.setForeignTestState('javascript.0.car.soc', 80);
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        await adapter.flushEvents();
+
+        const events = JSON.parse(adapter.val('tools.eventsJson'));
+        const change = events.find((e) => e.type === 'portChange');
+        assert.deepStrictEqual({ station: change.station, outlet: change.outlet, from: change.from, to: change.to }, { station: PREFIX_LIDL, outlet: 2, from: 'in_use', to: 'available' });
+        const skipped = events.find((e) => e.type === 'notifySkipped');
+        assert.strictEqual(skipped.reason, 'soc');
+        assert.strictEqual(skipped.soc, 80);
+        assert.strictEqual(adapter.files['cpt.0/events.json'], adapter.val('tools.eventsJson'));
+    });
+
+    it('writes pending events on unload', async () => {
+        await start();
+        adapter.recordEvent('test', { i: 1 });
+
+        await adapter.unload();
+        assert.ok(JSON.parse(adapter.files['cpt.0/events.json']).some((e) => e.type === 'test' && e.i === 1));
+        adapter = null;
+    });
+
+    it('keeps the event log bounded', async () => {
+        await start({ eventLogSize: 10 });
+        for (let i = 0; i < 25; i++) adapter.recordEvent('test', { i });
+        assert.strictEqual(adapter.events.length, 10);
+        assert.strictEqual(adapter.events[0].i, 15);
+    });
+
+    it('alerts subscribers on a station fault and on recovery', async () => {
+        await start({ faultAlertsEnabled: true });
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(234567, 1, 'fault');
+        await poll();
+        await poll();
+        server.setPortStatus(234567, 1, 'in_use');
+        await poll();
+
+        assert.deepStrictEqual(telegramTexts().map((m) => m.message.text), [
+            'Ladestation Rathaus in Musterstadt meldet eine Störung (fault)',
+            'Ladestation Rathaus in Musterstadt ist wieder in Betrieb (0/1 frei)',
+        ]);
+    });
+
+    it('alerts once when a station stays unreachable', async () => {
+        await start({ faultAlertsEnabled: true, outageAfterPolls: 2 });
+        adapter.sentMessages.length = 0;
+
+        server.setFailing(234567);
+        // polls that skip the station because of the fetch backoff do not count
+        for (let i = 0; i < 3; i++) await poll();
+        assert.strictEqual(adapter.stationHealthByPrefix[PREFIX_RATHAUS].failedPolls, 1);
+        assert.strictEqual(telegramTexts().length, 0);
+
+        for (let i = 0; i < 2; i++) {
+            for (const backoff of Object.values(adapter.fetchBackoffByDeviceId)) backoff.nextTryTs = 0;
+            await poll();
+        }
+
+        const texts = telegramTexts().map((m) => m.message.text);
+        assert.deepStrictEqual(texts, ['Ladestation Rathaus in Musterstadt ist seit 2 Abfragen nicht erreichbar']);
+        // the station tree stays where it was instead of moving to "unbekannt"
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.portCount`), 1);
+        assert.strictEqual(adapter.objects['cpt.0.stations.unbekannt'], undefined);
+        assert.strictEqual(JSON.parse(adapter.files['cpt.0/notify-state.json']).health[PREFIX_RATHAUS].alerted, 'outage');
+    });
+
+    it('alerts when a port is occupied too long and when it frees up', async () => {
+        await start({ occupiedTooLongMin: 60 });
+        adapter.sentMessages.length = 0;
+
+        // port 2 of Lidl has been in_use for 61 minutes
+        adapter.states[`cpt.0.${PREFIX_LIDL}.ports.2.status`].lc = Date.now() - 61 * 60000;
+        await poll();
+        await poll();
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.ports.2.statusAgeMin`), 61);
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+
+        const texts = telegramTexts().map((m) => m.message.text);
+        assert.strictEqual(texts[0], 'Ladestation Lidl Musterstadt in Musterstadt: Ladepunkt 2 ist seit 61 min belegt');
+        assert.ok(texts.includes('Ladestation Lidl Musterstadt in Musterstadt: Ladepunkt 2 ist nach 61 min wieder frei'));
+        assert.strictEqual(texts.filter((t) => /seit \d+ min belegt/.test(t)).length, 1);
+    });
+
+    it('offers a free station to the first in the queue and passes the turn on', async () => {
+        await start({
+            stations: [{ enabled: true, notifyOnAvailable: true, queueEnabled: true, name: 'Lidl Musterstadt', deviceId1: 123456 }],
+            channels: [
+                { enabled: true, instance: 'telegram.0', user: 'alice', label: 'Alice' },
+                { enabled: true, instance: 'telegram.0', user: 'bob', label: 'Bob' },
+                { enabled: true, instance: 'telegram.0', user: 'carol', label: 'Carol' },
+            ],
+            subscriptions: [{ enabled: true, station: '__ALL__', recipient: '__ALL__' }],
+        });
+        server.setPortStatus(123456, 1, 'in_use');
+        await poll();
+        adapter.sentMessages.length = 0;
+
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.join`, 'alice');
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.join`, 'Bob');
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.join`, 'carol');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.length`), 3);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.join`), '');
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        let sent = telegramTexts();
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].message.user, 'alice');
+        assert.match(sent[0].message.text, /^Du bist dran: Ladestation Lidl Musterstadt/);
+        const claim = sent[0].message.reply_markup.inline_keyboard.flat().find((b) => String(b.callback_data).includes('|claim|'));
+        assert.ok(claim);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Alice');
+
+        adapter.sentMessages.length = 0;
+        adapter.queueByPrefix[PREFIX_LIDL].turn.expiresAt = Date.now() - 1;
+        await adapter.checkQueueTurns();
+        await adapter.waitForDeliveries();
+        sent = telegramTexts();
+        assert.deepStrictEqual(sent.map((m) => m.message.user), ['alice', 'bob']);
+        assert.match(sent[0].message.text, /abgelaufen/);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Bob');
+
+        // Alice's old button does not claim Bob's turn
+        adapter.sentMessages.length = 0;
+        await adapter.setForeignTestState('telegram.0.communicate.request', `[alice]${claim.callback_data}`);
+        assert.match(adapter.sentMessages.pop().message.answerCallbackQuery.text, /nicht an der Reihe/);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Bob');
+
+        await adapter.setForeignTestState('telegram.0.communicate.request', `[bob]${claim.callback_data}`);
+        assert.match(adapter.sentMessages.pop().message.answerCallbackQuery.text, /übernommen/);
+        assert.deepStrictEqual(JSON.parse(adapter.val(`${PREFIX_LIDL}.queue.json`)).map((e) => e.label), ['Carol']);
+
+        // Bob has not plugged in yet: the port he claimed is not offered to Carol
+        adapter.sentMessages.length = 0;
+        await poll();
+        assert.strictEqual(telegramTexts().length, 0);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), '');
+
+        server.setPortStatus(123456, 2, 'in_use');
+        await poll();
+        server.setPortStatus(123456, 1, 'available');
+        await poll();
+        sent = telegramTexts();
+        assert.deepStrictEqual(sent.map((m) => m.message.user), ['carol']);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Carol');
+
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.claim`, 'Carol');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.length`), 0);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.json`), '[]');
+        assert.deepStrictEqual(JSON.parse(adapter.files['cpt.0/notify-state.json']).queues[PREFIX_LIDL].entries, []);
+    });
+
+    it('offers queue turns only outside quiet hours and within the recipient schedule', async () => {
+        const tomorrow = String((new Date().getDay() + 1) % 7);
+        await start({
+            stations: [{ enabled: true, notifyOnAvailable: true, queueEnabled: true, name: 'Lidl Musterstadt', deviceId1: 123456 }],
+            channels: [
+                { enabled: true, instance: 'telegram.0', user: 'alice', label: 'Alice' },
+                { enabled: true, instance: 'telegram.0', user: 'bob', label: 'Bob' },
+            ],
+            subscriptions: [
+                { enabled: true, station: '__ALL__', recipient: 'Alice', days: tomorrow },
+                { enabled: true, station: '__ALL__', recipient: 'Bob' },
+            ],
+            quietHoursEnabled: true, quietFrom: '00:00', quietTo: '00:00', quietMode: 'digest',
+        });
+        server.setPortStatus(123456, 1, 'in_use');
+        await poll();
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.join`, 'Alice');
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.join`, 'Bob');
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        assert.strictEqual(telegramTexts().length, 0);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), '');
+
+        // Alice keeps her place but is outside her schedule
+        adapter.quietHoursEnabled = false;
+        await poll();
+        assert.deepStrictEqual(telegramTexts().map((m) => m.message.user), ['bob']);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Bob');
+        assert.ok(adapter.events.some((e) => e.type === 'notifySkipped' && e.recipient === 'Alice' && e.reason === 'schedule' && e.event === 'queueTurn'));
+        assert.deepStrictEqual(JSON.parse(adapter.val(`${PREFIX_LIDL}.queue.json`)).map((e) => e.label), ['Alice', 'Bob']);
+
+        // a switched-off queue is not advanced by the minute tick
+        adapter.sentMessages.length = 0;
+        adapter.stationInfoByPrefix[PREFIX_LIDL].queueEnabled = false;
+        adapter.queueByPrefix[PREFIX_LIDL].turn.expiresAt = Date.now() - 1;
+        await adapter.checkQueueTurns();
+        await adapter.waitForDeliveries();
+        assert.strictEqual(telegramTexts().length, 0);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Bob');
+    });
+
+    it('lets the Telegram button claim a turn for a channel row without user', async () => {
+        await start({
+            stations: [{ enabled: true, notifyOnAvailable: true, queueEnabled: true, name: 'Lidl Musterstadt', deviceId1: 123456 }],
+            channels: [{ enabled: true, instance: 'telegram.0', label: 'Team' }],
+            subscriptions: [{ enabled: true, station: '__ALL__', recipient: 'Team' }],
+        });
+        server.setPortStatus(123456, 1, 'in_use');
+        await poll();
+        await adapter.triggerOwnState(`${PREFIX_LIDL}.queue.join`, 'Team');
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        const claim = telegramTexts().pop().message.reply_markup.inline_keyboard.flat().find((b) => String(b.callback_data).includes('|claim|'));
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.current`), 'Team');
+
+        await adapter.setForeignTestState('telegram.0.communicate.request', `[alice]${claim.callback_data}`);
+        assert.match(adapter.sentMessages.pop().message.answerCallbackQuery.text, /übernommen/);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.queue.length`), 0);
+    });
+
+    it('records a charging session when a port is released', async () => {
+        await start();
+
+        server.setPortStatus(123456, 1, 'in_use');
+        await poll();
+        server.setPortStatus(123456, 1, 'available');
+        await poll();
+
+        assert.strictEqual(adapter.sessionHistory.length, 1);
+        assert.strictEqual(adapter.sessionHistory[0].outlet, 1);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.stats.sessionsToday`), 1);
+        assert.ok(adapter.files['cpt.0/sessions.json']);
+    });
+
+    it('forecasts the free probability from one sample per poll interval', async () => {
+        await start();
+        const nowKey = adapter.getForecastBucketKey(new Date());
+        assert.strictEqual(adapter.forecastByStation[PREFIX_RATHAUS][nowKey].n, 1);
+
+        // a manual refresh right after the scheduled poll adds no sample
+        adapter.lastManualRefreshTs = 0;
+        await adapter.triggerOwnState('tools.refreshNow', true);
+        assert.strictEqual(adapter.forecastByStation[PREFIX_RATHAUS][nowKey].n, 1);
+
+        // the occupied Rathaus station was free in 3 of 4 polls of the coming hour on earlier weeks
+        const nextHour = new Date(Date.now() + 60 * 60 * 1000);
+        for (const free of [true, true, false, true]) adapter.recordForecastSample(PREFIX_RATHAUS, free, nextHour);
+        await poll();
+
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.forecast.freeProbabilityNextHour`), 75);
+        const expected = new Date();
+        expected.setMinutes(0, 0, 0);
+        expected.setHours(expected.getHours() + 1);
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.forecast.likelyFreeAt`), expected.toISOString());
+        // free right now: likelyFreeAt is the current time
+        assert.ok(adapter.val(`${PREFIX_LIDL}.forecast.likelyFreeAt`));
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.forecast.freeProbabilityNextHour`), null);
+    });
+
+    it('keeps polling other stations while one device fails', async () => {
+        server.setFailing(234567);
+        await start();
+
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.freePorts`), 1);
+        assert.ok(adapter.fetchBackoffByDeviceId['chargepoint:234567']);
+
+        // the failing device is in backoff and must not be requested again right away
+        const before = server.countRequests('/map-prod/v3/station/info');
+        await poll();
+        assert.strictEqual(server.countRequests('/map-prod/v3/station/info') - before, 1);
+    });
+
+    it('renders the VIS HTML for desktop and mobile', async () => {
+        await start();
+        await adapter.writeVisHtmlObject();
+        await adapter.writeVisHtmlMobileObject();
+
+        const html = adapter.states['0_userdata.0.Vis.ChargePoint.htmlStations'].val;
+        const mobile = adapter.states['0_userdata.0.Vis.ChargePoint.htmlStationsMobile'].val;
+        assert.match(html, /Lidl Musterstadt/);
+        assert.match(html, /Rathaus/);
+        assert.match(mobile, /Lidl Musterstadt/);
+        assert.match(mobile, /Ladezustand: 20 %/);
+    });
+
+    it('finds the nearest free Type 2 station with TomTom distance', async () => {
+        await start({ nearestType2Enabled: true, tomtomApiKey: 'test-key' });
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Bahnhof Süd');
+        assert.strictEqual(adapter.val('nearestType2.freePorts'), 1);
+        // both candidates in one matrix request
+        assert.strictEqual(adapter.val('nearestType2.distance.m'), 2000);
+        assert.strictEqual(adapter.val('nearestType2.distanceType'), 'tomtom');
+        assert.ok(server.countRequests('/map-prod/v2') >= 1);
+    });
+
+    it('sends nearest-station changes to subscribers with cooldown', async () => {
+        await start({
+            nearestType2Enabled: true,
+            notifyNearestChanged: true,
+            channels: [
+                { enabled: true, instance: 'telegram.0', user: 'alice', label: 'Alice' },
+                { enabled: true, instance: 'telegram.0', user: 'bob', label: 'Bob' },
+            ],
+            subscriptions: [
+                { enabled: true, station: 'nearestType2', recipient: 'Alice' },
+                { enabled: true, station: 'name:Rathaus', recipient: 'Bob' },
+            ],
+        });
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Bahnhof Süd');
+        adapter.sentMessages.length = 0;
+
+        const map = loadFixture('map-v2.json');
+        map.station_list.stations[0].ports[0].status_v2 = 'in_use';
+        server.setMapResponse(map);
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Parkhaus Nord');
+        const sent = telegramTexts();
+        assert.deepStrictEqual(sent.map((m) => m.message.user), ['alice']);
+        assert.match(sent[0].message.text, /Parkhaus Nord/);
+
+        // switching back within the cooldown stays silent
+        adapter.sentMessages.length = 0;
+        server.setMapResponse(loadFixture('map-v2.json'));
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Bahnhof Süd');
+        assert.strictEqual(telegramTexts().length, 0);
+        assert.ok(adapter.events.some((e) => e.type === 'notifySkipped' && e.event === 'nearestChanged' && e.reason === 'cooldown'));
+    });
+
+    it('reports the travel time and filters notifications by it', async () => {
+        // the mock matrix answers 300 s for the first destination (Lidl / Bahnhof Süd)
+        await start({ nearestType2Enabled: true, tomtomApiKey: 'test-key', notifyMaxDistanceM: 5000, notifyMaxEtaMin: 4 });
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distance.etaMin`), 5);
+        assert.strictEqual(adapter.val('nearestType2.etaMin'), 5);
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        assert.strictEqual(telegramTexts().length, 0);
+        assert.ok(adapter.events.some((e) => e.type === 'notifySkipped' && e.reason === 'eta' && e.etaMin === 5));
+
+        adapter.notifyMaxEtaMin = 5;
+        await adapter.handleCarContextChange('test');
+        await adapter.waitForDeliveries();
+        assert.strictEqual(telegramTexts().length, 1);
+
+        await adapter.writeVisHtmlObject();
+        assert.match(adapter.states['0_userdata.0.Vis.ChargePoint.htmlStations'].val, /2\.00 km · ~5 min/);
+    });
+
+    it('keeps a ranked list of the nearest free stations', async () => {
+        await start({ nearestType2Enabled: true, nearestListSize: 3 });
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+
+        const list = JSON.parse(adapter.val('nearestType2.listJson'));
+        assert.deepStrictEqual(list.map((e) => [e.name, e.freePorts, e.portCount]), [['Bahnhof Süd', 1, 2], ['Parkhaus Nord', 2, 4]]);
+        assert.ok(list[0].distanceM < list[1].distanceM);
+        assert.strictEqual(adapter.val('nearestType2.list.2.name'), 'Parkhaus Nord');
+        assert.strictEqual(adapter.val('nearestType2.list.2.address'), 'Nordring 20, 31135 Musterstadt');
+        assert.strictEqual(adapter.val('nearestType2.list.3.name'), '');
+
+        await adapter.writeVisHtmlObject();
+        await adapter.writeVisHtmlMobileObject();
+        assert.match(adapter.states['0_userdata.0.Vis.ChargePoint.htmlStations'].val, /Top 2 anzeigen[\s\S]*2\. Parkhaus Nord/);
+        assert.match(adapter.states['0_userdata.0.Vis.ChargePoint.htmlStationsMobile'].val, /Top 2 anzeigen/);
+    });
+
+    it('pages through the results and widens the search radius', async () => {
+        const [south, north] = loadFixture('map-v2.json').station_list.stations;
+        server.setMapResponse((payload) => {
+            const radiusM = Math.round(((payload.station_list.ne_lat - payload.station_list.sw_lat) / 2) * 111132);
+            if (radiusM < 5000) return { station_list: { page_offset: '', stations: [] } };
+            if (!payload.station_list.page_offset) return { station_list: { page_offset: 'p2', stations: [south] } };
+            return { station_list: { page_offset: '', stations: [north] } };
+        });
+        await start({ nearestType2Enabled: true, nearestRadiusM: 2000, nearestMaxRadiusM: 10000 });
+        server.requests.length = 0;
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+
+        assert.deepStrictEqual(adapter.getNearestRadii(2000), [2000, 5000, 10000]);
+        assert.strictEqual(adapter.val('nearestType2.searchRadiusM'), 5000);
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Bahnhof Süd');
+        assert.deepStrictEqual(JSON.parse(adapter.val('nearestType2.listJson')).map((e) => e.name), ['Bahnhof Süd', 'Parkhaus Nord']);
+        assert.strictEqual(server.countRequests('/map-prod/v2'), 3);
+    });
+
+    it('computes the range and limits search and notifications to it', async () => {
+        await start({ vehicleBatteryKwh: 50, vehicleConsumptionKwh100: 20, vehicleReservePct: 10 });
+        // (20 % - 10 % reserve) * 50 kWh = 5 kWh at 20 kWh/100 km
+        assert.strictEqual(adapter.val('car.rangeKm'), 25);
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        assert.strictEqual(telegramTexts()[0].message.text, 'Ladestation Lidl Musterstadt in Musterstadt ist nun frei (2/2)\n⚠️ Letzte erreichbare freie Station (Reichweite 25 km)');
+
+        await adapter.updateCarSoc(10.4);
+        assert.strictEqual(adapter.val('car.rangeKm'), 1);
+        adapter.config.nearestType2Enabled = true;
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+        // Parkhaus Nord is ~2.6 km away
+        assert.deepStrictEqual(JSON.parse(adapter.val('nearestType2.listJson')).map((e) => e.name), ['Bahnhof Süd']);
+        assert.strictEqual(await adapter.isLastReachableStation(PREFIX_LIDL), false);
+    });
+
+    it('checks subscriptions against the position and SoC of their own vehicle', async () => {
+        // second car ~5 km north of the stations
+        const zoe = { 'javascript.0.zoe.lat': 52.195, 'javascript.0.zoe.lon': 9.951234, 'javascript.0.zoe.soc': 15 };
+        await start({
+            channels: [
+                { enabled: true, instance: 'telegram.0', user: 'alice', label: 'Alice' },
+                { enabled: true, instance: 'telegram.0', user: 'bob', label: 'Bob' },
+            ],
+            subscriptions: [
+                { enabled: true, station: '__ALL__', recipient: 'Alice' },
+                { enabled: true, station: '__ALL__', recipient: 'Bob', vehicle: 'Zoe' },
+                { enabled: true, station: '__ALL__', recipient: 'Bob', vehicle: 'Zeo' },
+            ],
+            vehicles: [{ enabled: true, name: 'Zoe', latStateId: 'javascript.0.zoe.lat', lonStateId: 'javascript.0.zoe.lon', socStateId: 'javascript.0.zoe.soc' }],
+        }, zoe);
+        assert.ok(adapter.logs.some((l) => l.level === 'warn' && /Fahrzeug 'Zeo' ist nicht als aktives Fahrzeug angelegt/.test(l.msg)));
+        assert.ok(!adapter.logs.some((l) => l.level === 'warn' && /Fahrzeug 'Zoe'/.test(l.msg)));
+        assert.strictEqual(adapter.val('car.zoe.soc'), 15);
+        assert.ok(adapter.val(`${PREFIX_LIDL}.distance.zoe.m`) > 4000);
+        assert.ok(adapter.val(`${PREFIX_LIDL}.distance.m`) < 500);
+        adapter.sentMessages.length = 0;
+
+        server.setPortStatus(123456, 2, 'available');
+        await poll();
+        assert.deepStrictEqual(telegramTexts().map((m) => m.message.user), ['alice']);
+        assert.ok(adapter.events.some((e) => e.type === 'notifySkipped' && e.vehicle === 'zoe' && e.reason === 'distance'));
+
+        // Zoe arrives next to the primary car
+        await adapter.setForeignTestState('javascript.0.zoe.lat', 52.150334);
+        await adapter.waitForDeliveries();
+        assert.ok(adapter.val(`${PREFIX_LIDL}.distance.zoe.m`) < 500);
+        assert.deepStrictEqual(telegramTexts().map((m) => m.message.user), ['alice', 'bob']);
+    });
+
+    it('removes nearest objects of deleted profiles and surplus list slots', async () => {
+        await start({ nearestType2Enabled: true, nearestListSize: 3, nearestProfiles: [{ enabled: true, name: 'AC 22', plugTypes: 'Type 2' }] });
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+        assert.strictEqual(adapter.val('nearest.ac_22.name'), 'Bahnhof Süd');
+        assert.ok(adapter.objects['cpt.0.nearestType2.list.3.name']);
+
+        const { objects, states } = adapter;
+        await adapter.unload();
+        adapter = createAdapter(baseConfig(baseUrl, { nearestType2Enabled: true, nearestListSize: 2 }));
+        adapter.objects = objects;
+        adapter.states = states;
+        await adapter.setForeignStateAsync('javascript.0.car.soc', { val: 20, ack: true });
+        await adapter.onReady();
+
+        assert.ok(!Object.keys(adapter.objects).some((id) => id.startsWith('cpt.0.nearest.') || id === 'cpt.0.nearest'));
+        assert.ok(!Object.keys(adapter.states).some((id) => id.startsWith('cpt.0.nearest.')));
+        assert.ok(!Object.keys(adapter.objects).some((id) => id.startsWith('cpt.0.nearestType2.list.3')));
+        assert.ok(adapter.objects['cpt.0.nearestType2.list.2.name']);
+
+        // switching the built-in search off keeps its objects
+        await adapter.unload();
+        adapter = createAdapter(baseConfig(baseUrl, { nearestType2Enabled: false, nearestListSize: 2 }));
+        adapter.objects = objects;
+        adapter.states = states;
+        await adapter.setForeignStateAsync('javascript.0.car.soc', { val: 20, ack: true });
+        await adapter.onReady();
+
+        assert.ok(adapter.objects['cpt.0.nearestType2']);
+        assert.ok(adapter.objects['cpt.0.nearestType2.list.2.name']);
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Bahnhof Süd');
+    });
+
+    it('runs named nearest profiles with their own filters and cards', async () => {
+        await start({
+            nearestType2Enabled: true,
+            nearestProfiles: [
+                { enabled: true, name: 'AC 22', plugTypes: 'Type 2', minKw: 20 },
+                { enabled: true, name: 'DC schnell', plugTypes: 'CCS', minKw: 50 },
+                { enabled: true, name: 'Alle', onlyAvailable: false },
+            ],
+        });
+        await adapter.updateNearestType2(adapter.carLat, adapter.carLon);
+        await adapter.waitForDeliveries();
+
+        assert.strictEqual(adapter.val('nearestType2.name'), 'Bahnhof Süd');
+        assert.strictEqual(adapter.val('nearest.ac_22.name'), 'Bahnhof Süd');
+        assert.strictEqual(adapter.val('nearest.ac_22.freePorts'), 1);
+        assert.strictEqual(adapter.val('nearest.dc_schnell.lastError'), 'keine Treffer');
+        assert.strictEqual(adapter.val('nearest.alle.portCount'), 2);
+
+        const dcQuery = server.requests.filter((r) => r.path === '/map-prod/v2').map((r) => decodeURIComponent(r.query)).find((q) => q.includes('connector_combo'));
+        assert.ok(dcQuery && !dcQuery.includes('connector_l2_type2'));
+
+        await adapter.writeVisHtmlObject();
+        const html = adapter.states['0_userdata.0.Vis.ChargePoint.htmlStations'].val;
+        for (const title of ['Nächste freie Typ2', 'AC 22', 'DC schnell', 'Alle']) assert.ok(html.includes(`🧭 ${title}`), title);
+    });
+
+    it('falls back to air-line distance when TomTom fails', async () => {
+        server.setRoute(null, 500);
+        await start({ tomtomApiKey: 'test-key' });
+
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distanceType`), 'fallback');
+        const m = adapter.val(`${PREFIX_LIDL}.distance.m`);
+        assert.ok(m > 90 && m < 110, `distance was ${m}`);
+    });
+
+    it('uses a self-hosted OSRM or GraphHopper server for the driving distance', async () => {
+        // a single station is a single route, no matrix
+        const lidlOnly = [{ enabled: true, notifyOnAvailable: true, name: 'Lidl Musterstadt', deviceId1: 123456 }];
+        await start({ routingProvider: 'osrm', osrmBaseUrl: baseUrl, tomtomApiKey: 'test-key', stations: lidlOnly });
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distanceType`), 'osrm');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distance.m`), 1456);
+        assert.strictEqual(server.countRequests('/routing/'), 0);
+        // OSRM takes lon,lat
+        assert.ok(server.requests.some((r) => r.path === '/route/v1/driving/9.951234,52.150334;9.951234,52.151234'));
+        await adapter.unload();
+
+        adapter = null;
+        await start({ routingProvider: 'graphhopper', graphhopperBaseUrl: baseUrl });
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distanceType`), 'graphhopper');
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distance.m`), 1389);
+        const info = await adapter.getDistanceInfo(52.150334, 9.951234, 52.151234, 9.951234);
+        assert.strictEqual(info.travelTimeSec, 195);
+        assert.ok(server.requests.some((r) => r.path === '/route' && /point=52\.150334,9\.951234&point=52\.151234,9\.951234&profile=car/.test(r.query)));
+    });
+
+    it('routes all stations with one matrix request and keeps a daily budget', async () => {
+        await start({ tomtomApiKey: 'test-key', routingDailyBudget: 2 });
+        assert.strictEqual(server.countRequests('/routing/matrix/2'), 1);
+        assert.strictEqual(server.countRequests('/routing/1/calculateRoute'), 0);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distance.m`), 2000);
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.distance.m`), 2100);
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.distance.etaMin`), 6);
+        // the matrix costs one per destination
+        assert.strictEqual(adapter.val('tools.routing.requestsToday'), 2);
+        assert.strictEqual(adapter.val('tools.routing.matrixRequestsToday'), 1);
+
+        // budget used up: the next position falls back to the air-line distance
+        await adapter.updateCarPosition(52.151, 9.951234, 'test');
+        await adapter.waitForDeliveries();
+        assert.strictEqual(server.countRequests('/routing/'), 1);
+        assert.strictEqual(adapter.val('tools.routing.budgetExceeded'), true);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distanceType`), 'fallback');
+        assert.ok(adapter.val(`${PREFIX_LIDL}.distance.m`) < 100);
+    });
+
+    it('keeps routed distances across restarts and clears the route cache on request', async () => {
+        await start({ tomtomApiKey: 'test-key', tomtomTraffic: false, routeCacheTtlHours: 48 });
+        assert.strictEqual(server.countRequests('/routing/'), 1);
+        const saved = JSON.parse(adapter.files['cpt.0/routes.json']).routes;
+        assert.strictEqual(saved.length, 2);
+        // routes without traffic use the lifetime in hours, not the minutes of the traffic cache
+        assert.ok(saved.every(([, e]) => e.expires > Date.now() + 47 * 3600 * 1000));
+
+        const files = { ...adapter.files };
+        await adapter.unload();
+        adapter = createAdapter(baseConfig(baseUrl, { tomtomApiKey: 'test-key', tomtomTraffic: false, routeCacheTtlHours: 48 }));
+        adapter.files = files;
+        await adapter.setForeignStateAsync('javascript.0.car.soc', { val: 20, ack: true });
+        await adapter.onReady();
+
+        assert.strictEqual(server.countRequests('/routing/'), 1);
+        assert.strictEqual(adapter.val(`${PREFIX_LIDL}.distance.m`), 2000);
+        assert.ok(adapter.val('tools.routing.cacheHitsToday') >= 2);
+        assert.strictEqual(adapter.val('tools.routing.cacheMissesToday'), 0);
+        assert.strictEqual(adapter.val('tools.routing.cacheEntries'), 2);
+
+        await adapter.onMessage({ command: 'clearRouteCache', from: 'system.adapter.admin.0', callback: {} });
+        assert.match(adapter.sentMessages.pop().message.data.result, /2 Einträge/);
+        assert.strictEqual(adapter.val('tools.routing.cacheEntries'), 0);
+        assert.deepStrictEqual(JSON.parse(adapter.files['cpt.0/routes.json']).routes, []);
+    });
+
+    it('writes routes cached since the last poll on unload', async () => {
+        await start({ tomtomApiKey: 'test-key' });
+        adapter.setCachedRoute('test|route', { source: 'tomtom', km: 1, m: 1000, travelTimeSec: 60 }, 60);
+
+        await adapter.unload();
+        const keys = JSON.parse(adapter.files['cpt.0/routes.json']).routes.map(([key]) => key);
+        assert.ok(keys.includes('test|route'));
+        adapter = null;
+    });
+
+    it('refreshes all stations via tools.refreshNow', async () => {
+        await start();
+        await delay(5);
+
+        server.setPortStatus(234567, 1, 'available');
+        adapter.lastManualRefreshTs = 0;
+        await adapter.triggerOwnState('tools.refreshNow', true);
+
+        assert.strictEqual(adapter.val(`${PREFIX_RATHAUS}.freePorts`), 1);
+        assert.strictEqual(adapter.val('tools.lastRefreshResult'), 'ok');
+        assert.strictEqual(adapter.val('tools.refreshNow'), false);
+    });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+// Minimal in-memory replacement for @iobroker/adapter-core, so CptAdapter can be
+// driven through onReady / polling / notifications without a js-controller.
+
+const Module = require('module');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const MAIN = path.join(__dirname, '..', '..', 'main.js');
+const NO_ANSWER = Symbol('no answer');
+
+function globToRegExp(pattern) {
+    const esc = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${esc}$`);
+}
+
+class MockAdapter extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.name = options.name;
+        this.namespace = `${options.name}.0`;
+        this.version = '0.0.0-test';
+        this.config = {};
+        this.objects = {};
+        this.states = {};
+        this.files = {};
+        this.sentMessages = [];
+        this.logs = [];
+        this.foreignSubscriptions = new Set();
+        // answer for sendTo callbacks: (instance, command, message) => response, NO_ANSWER never calls back
+        this.sendToResponder = null;
+
+        const log = (level) => (msg) => this.logs.push({ level, msg: String(msg) });
+        this.log = { silly: log('silly'), debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+    }
+
+    fullId(id) {
+        return String(id).startsWith(`${this.namespace}.`) ? String(id) : `${this.namespace}.${id}`;
+    }
+
+    // ----- objects -----
+    async setObjectNotExistsAsync(id, obj) {
+        const full = this.fullId(id);
+        if (!this.objects[full]) this.objects[full] = { _id: full, ...obj };
+        return { id: full };
+    }
+
+    async setObjectAsync(id, obj) {
+        const full = this.fullId(id);
+        this.objects[full] = { _id: full, ...obj };
+        return { id: full };
+    }
+
+    async extendObjectAsync(id, obj) {
+        const full = this.fullId(id);
+        const cur = this.objects[full] || {};
+        this.objects[full] = { ...cur, ...obj, common: { ...(cur.common || {}), ...(obj.common || {}) }, _id: full };
+        return { id: full };
+    }
+
+    async getObjectAsync(id) {
+        return this.objects[this.fullId(id)] || null;
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.objects[id] || null;
+    }
+
+    async setForeignObjectAsync(id, obj) {
+        this.objects[id] = { _id: id, ...obj };
+        return { id };
+    }
+
+    async delObjectAsync(id, options = {}) {
+        const full = this.fullId(id);
+        for (const key of Object.keys(this.objects)) {
+            if (key === full || (options.recursive && key.startsWith(`${full}.`))) delete this.objects[key];
+        }
+        for (const key of Object.keys(this.states)) {
+            if (key === full || (options.recursive && key.startsWith(`${full}.`))) delete this.states[key];
+        }
+    }
+
+    async getObjectViewAsync(design, search, params = {}) {
+        const rows = Object.values(this.objects)
+            .filter((o) => o.type === search)
+            .filter((o) => (!params.startkey || o._id >= params.startkey) && (!params.endkey || o._id <= params.endkey.replace('\\u9999', '香')))
+            .map((o) => ({ id: o._id, value: o }));
+        return { rows };
+    }
+
+    // ----- states -----
+    writeState(full, state) {
+        const now = Date.now();
+        const cur = this.states[full];
+        const val = state !== null && typeof state === 'object' && 'val' in state ? state.val : state;
+        const ack = state !== null && typeof state === 'object' && 'ack' in state ? !!state.ack : false;
+        const lc = cur && cur.val === val ? cur.lc : now;
+        const next = { val, ack, ts: now, lc, from: `system.adapter.${this.namespace}` };
+        this.states[full] = next;
+        this.emit('stateWritten', full, next);
+        return next;
+    }
+
+    async setStateAsync(id, state) {
+        this.writeState(this.fullId(id), state);
+        return { id: this.fullId(id) };
+    }
+
+    async setForeignStateAsync(id, state) {
+        this.writeState(id, state);
+        return { id };
+    }
+
+    async getStateAsync(id) {
+        return this.states[this.fullId(id)] || null;
+    }
+
+    async getForeignStateAsync(id) {
+        return this.states[id] || null;
+    }
+
+    async getStatesAsync(pattern) {
+        const re = globToRegExp(this.fullId(pattern));
+        const res = {};
+        for (const [id, st] of Object.entries(this.states)) {
+            if (re.test(id)) res[id] = st;
+        }
+        return res;
+    }
+
+    subscribeStates() {}
+
+    subscribeForeignStates(id) {
+        this.foreignSubscriptions.add(id);
+    }
+
+    unsubscribeForeignStates(id) {
+        this.foreignSubscriptions.delete(id);
+    }
+
+    // ----- files -----
+    async readFileAsync(adapterName, fileName) {
+        const key = `${adapterName}/${fileName}`;
+        if (!(key in this.files)) throw new Error('Not exists');
+        return { file: Buffer.from(this.files[key]), mimeType: 'application/json' };
+    }
+
+    async writeFileAsync(adapterName, fileName, data) {
+        this.files[`${adapterName}/${fileName}`] = String(data);
+    }
+
+    // ----- messaging -----
+    sendTo(instance, command, message, callback) {
+        if (typeof message === 'function' && callback === undefined) {
+            callback = message;
+            message = command;
+            command = 'send';
+        } else if (message === undefined) {
+            message = command;
+            command = 'send';
+        }
+        this.sentMessages.push({ instance, command, message });
+        if (typeof callback === 'function') {
+            const response = this.sendToResponder ? this.sendToResponder(instance, command, message) : { result: 'ok' };
+            if (response !== NO_ANSWER) setImmediate(() => callback(response));
+        }
+    }
+
+    async sendToAsync(instance, command, message) {
+        return new Promise((resolve) => this.sendTo(instance, command, message, resolve));
+    }
+
+    // ----- helpers for tests -----
+    async setForeignTestState(id, val) {
+        this.writeState(id, { val, ack: true });
+        if (this.foreignSubscriptions.has(id)) await this.onStateChange(id, this.states[id]);
+    }
+
+    async triggerOwnState(relId, val) {
+        const full = this.fullId(relId);
+        this.writeState(full, { val, ack: false });
+        await this.onStateChange(full, this.states[full]);
+    }
+
+    val(relId) {
+        const st = this.states[this.fullId(relId)];
+        return st ? st.val : undefined;
+    }
+
+    unload() {
+        return new Promise((resolve) => this.onUnload(resolve));
+    }
+}
+
+let factory = null;
+
+function loadMain() {
+    if (factory) return factory;
+    const origLoad = Module._load;
+    Module._load = function (request, ...args) {
+        if (request === '@iobroker/adapter-core') return { Adapter: MockAdapter };
+        return origLoad.call(this, request, ...args);
+    };
+    try {
+        factory = require(MAIN);
+    } finally {
+        Module._load = origLoad;
+    }
+    return factory;
+}
+
+/**
+ * Create a CptAdapter instance with the given native config (not started yet).
+ */
+function createAdapter(config = {}) {
+    const adapter = loadMain()({});
+    adapter.config = { ...config };
+    return adapter;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { createAdapter, MockAdapter, delay, NO_ANSWER };
@@ -0,0 +1,162 @@
+'use strict';
+
+// Local stand-in for the ChargePoint map API, an OCPI 2.2 locations module, the TomTom/OSRM/GraphHopper routing APIs and a webhook receiver.
+// Responses come from the recorded fixtures in test/fixtures and can be
+// changed per test (port transitions, outages) without touching the network.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+function createMockServer() {
+    const stations = {};
+    const ocpiLocations = {};
+    const failing = new Set();
+    let mapResponse = loadFixture('map-v2.json');
+    let routeResponse = loadFixture('tomtom-route.json');
+    let routeStatus = 200;
+    let webhookStatus = 200;
+    const requests = [];
+
+    for (const file of fs.readdirSync(FIXTURES_DIR)) {
+        const m = file.match(/^station-info-(\d+)\.json$/);
+        if (m) stations[m[1]] = loadFixture(file);
+        const o = file.match(/^ocpi-location-(\w+)\.json$/);
+        if (o) ocpiLocations[o[1]] = loadFixture(file);
+    }
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (c) => chunks.push(c));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks).toString('utf8')));
+    });
+
+    function handle(req, res, body) {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers, body });
+
+        if (url.pathname === '/map-prod/v3/station/info') {
+            const deviceId = url.searchParams.get('deviceId');
+            if (failing.has(String(deviceId))) return send(res, 503, { error: 'service unavailable' });
+            const data = stations[deviceId];
+            if (!data) return send(res, 404, { error: 'unknown device' });
+            return send(res, 200, data);
+        }
+
+        const ocpi = url.pathname.match(/^\/ocpi\/2\.2\/locations\/([^/]+)$/);
+        if (ocpi) {
+            if (req.headers.authorization !== 'Token test-token') return send(res, 401, { status_code: 2001, status_message: 'Unauthorized' });
+            const data = ocpiLocations[decodeURIComponent(ocpi[1])];
+            if (!data) return send(res, 404, { status_code: 2003, status_message: 'Unknown location' });
+            return send(res, 200, data);
+        }
+
+        if (url.pathname === '/map-prod/v2') {
+            // a function gets the decoded search payload, e.g. to answer per radius or page
+            if (typeof mapResponse === 'function') return send(res, 200, mapResponse(JSON.parse(decodeURIComponent(url.search.slice(1)))));
+            return send(res, 200, mapResponse);
+        }
+
+        if (/^\/routing\/1\/calculateRoute\/[^/]+\/json$/.test(url.pathname)) {
+            return send(res, routeStatus, routeStatus === 200 ? routeResponse : { detailedError: { message: 'mock error' } });
+        }
+
+        // matrix answers: destination i is 2000 + i * 100 m and 300 + i * 60 s away
+        if (url.pathname === '/routing/matrix/2' && req.method === 'POST') {
+            if (routeStatus !== 200) return send(res, routeStatus, { detailedError: { message: 'mock error' } });
+            const { destinations = [] } = JSON.parse(body || '{}');
+            return send(res, 200, {
+                formatVersion: '0.0.1',
+                data: destinations.map((_, i) => ({
+                    originIndex: 0,
+                    destinationIndex: i,
+                    routeSummary: { lengthInMeters: 2000 + i * 100, travelTimeInSeconds: 300 + i * 60 },
+                })),
+            });
+        }
+
+        if (url.pathname.startsWith('/table/v1/driving/')) {
+            if (routeStatus !== 200) return send(res, routeStatus, { code: 'NoTable', message: 'mock error' });
+            const count = url.pathname.split('/').pop().split(';').length - 1;
+            const row = (f) => [0, ...Array.from({ length: count }, (_, i) => f(i))];
+            return send(res, 200, { code: 'Ok', distances: [row((i) => 2000 + i * 100)], durations: [row((i) => 300 + i * 60)] });
+        }
+
+        if (url.pathname.startsWith('/route/v1/driving/')) {
+            return send(res, routeStatus, routeStatus === 200 ? loadFixture('osrm-route.json') : { code: 'NoRoute', message: 'mock error' });
+        }
+
+        if (url.pathname === '/route') {
+            return send(res, routeStatus, routeStatus === 200 ? loadFixture('graphhopper-route.json') : { message: 'mock error' });
+        }
+
+        if (url.pathname === '/webhook' && req.method === 'POST') {
+            return send(res, webhookStatus, { received: true });
+        }
+
+        return send(res, 404, { error: 'not found' });
+    }
+
+    return {
+        requests,
+
+        start() {
+            return new Promise((resolve) => {
+                server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+
+        stop() {
+            return new Promise((resolve) => server.close(() => resolve()));
+        },
+
+        setPortStatus(deviceId, outletNumber, status) {
+            const port = stations[String(deviceId)].portsInfo.ports.find((p) => p.outletNumber === outletNumber);
+            port.status = status;
+            port.statusV2 = status;
+        },
+
+        setOcpiEvseStatus(locationId, uid, status) {
+            ocpiLocations[String(locationId)].data.evses.find((e) => e.uid === uid).status = status;
+        },
+
+        setStation(deviceId, data) {
+            stations[String(deviceId)] = data;
+        },
+
+        setFailing(deviceId, fail = true) {
+            if (fail) failing.add(String(deviceId));
+            else failing.delete(String(deviceId));
+        },
+
+        setMapResponse(data) {
+            mapResponse = data;
+        },
+
+        setRoute(data, status = 200) {
+            if (data) routeResponse = data;
+            routeStatus = status;
+        },
+
+        setWebhookStatus(status) {
+            webhookStatus = status;
+        },
+
+        countRequests(pathname) {
+            return requests.filter((r) => r.path === pathname || r.path.startsWith(pathname)).length;
+        },
+    };
+}
+
+module.exports = { createMockServer, loadFixture };